@@ -1,23 +1,32 @@
 import app from "../app.js"
 
 async function writeReadableStreamToWritable(stream, writable) {
-    let reader = stream.getReader()
+    const reader = stream.getReader()
 
-    async function read() {
-        let { done, value } = await reader.read()
+    // 客户端提前断开（如拖动进度条）时取消读取，释放上游连接
+    let closed = false
+    writable.on('close', () => {
+        closed = true
+        reader.cancel().catch(() => { })
+    })
 
-        if (done) {
-            writable.end()
-            return
-        }
-
-        writable.write(value)
+    try {
+        while (!closed) {
+            const { done, value } = await reader.read()
 
-        await read()
-    }
+            if (done) {
+                writable.end()
+                return
+            }
 
-    try {
-        await read()
+            // 遵循背压，等待缓冲区排空后再继续读取
+            if (!writable.write(value)) {
+                await new Promise(resolve => {
+                    writable.once('drain', resolve)
+                    writable.once('close', resolve)
+                })
+            }
+        }
     } catch (error) {
         writable.destroy(error)
         throw error
@@ -66,7 +75,10 @@ const getRequestListener = (fetchCallback) => {
         try {
             res = (await fetchCallback(new Request(url.toString(), init)))
         } catch {
-            res = new NodeResponse(null, { status: 500 })
+            res = new NodeResponse(JSON.stringify({ status: 500, code: 'INTERNAL_ERROR', message: '服务器内部错误' }), {
+                status: 500,
+                headers: { 'content-type': 'application/json; charset=UTF-8' },
+            })
         }
 
         const contentType = res.headers.get('content-type') || ''
@@ -1,5 +1,16 @@
 import api from './src/service/api.js'
+import batch from './src/service/batch.js'
+import { cache_endpoints, create_mysql_backend, use_backend } from './src/service/cache.js'
+import { admin_guard, admin_required } from './src/service/admin.js'
+import { credential_endpoints, credential_usage, load_from_env, load_from_file, load_from_mysql } from './src/service/credentials.js'
+import { login_endpoints } from './src/service/login.js'
+import { credential_health, start_credential_monitor } from './src/service/monitor.js'
+import Providers from './src/providers/index.js'
+import { inflight_stats } from './src/service/inflight.js'
+import { proxy_stats } from './src/service/proxy.js'
+import { MetingError, error_body } from './src/errors.js'
 import { handler } from './src/template.js'
+import { openapi, docs, swagger_ui } from './src/service/docs.js'
 import { Hono } from 'hono'
 import { logger } from 'hono/logger'
 import { cors } from 'hono/cors'
@@ -543,6 +554,15 @@ const loadStats = async () => {
         
         const mysqlEnabled = await initMySQL();
         
+        if (mysqlEnabled && config.CACHE === 'mysql') {
+            use_backend(create_mysql_backend(dbPool));
+            console.log('💾 已启用数据库缓存');
+        }
+
+        if (mysqlEnabled) {
+            await load_from_mysql(dbPool);
+        }
+        
         if (mysqlEnabled) {
             const dbStats = await dbOperations.loadStats();
             if (dbStats) {
@@ -729,9 +749,22 @@ const getBackupCount = async () => {
     }
 };
 
+// 凭据按 环境变量 → 凭据文件 → 数据库 的顺序加载，数据库在 loadStats 中连接后加载
+load_from_env();
+if (!isVercel) {
+    await load_from_file();
+}
+
 loadStats();
 
-app.use('*', cors());
+// 定期检查账号是否失效，结果见 /health
+if (!isVercel) {
+    start_credential_monitor(new Providers());
+}
+
+app.use('*', cors({
+    exposeHeaders: ['X-Cache', 'X-Inflight', 'X-Inflight-Folded', 'X-Total-Count', 'X-Has-More', 'X-Search-Providers', 'X-Search-Failed', 'X-Lyric-Unmatched', 'X-Quality', 'X-Fallback-Provider', 'X-Fallback-Score', 'Content-Disposition', 'Content-Range', 'Accept-Ranges'],
+}));
 app.use('*', logger());
 
 app.use('/api', async (c, next) => {
@@ -766,8 +799,18 @@ if (!isVercel) {
     });
 }
 
+app.onError((err, c) => {
+    console.error('❌ 请求处理失败:', err);
+    const error = err instanceof MetingError ? err : new MetingError('服务器内部错误');
+    return c.json(error_body(error), error.status);
+});
+
 app.get('/api', api);
+app.post('/api/batch', batch);
 app.get('/test', handler);
+app.get('/openapi.json', openapi);
+app.get('/docs', docs);
+app.get('/swagger-ui/:file', swagger_ui);
 
 app.get('/health', (c) => {
     return c.json({
@@ -777,7 +820,10 @@ app.get('/health', (c) => {
         memory: process.memoryUsage(),
         mysql: dbPool ? 'connected' : 'disabled',
         storage: useMySQL ? 'database' : 'local',
-        isVercel: isVercel
+        isVercel: isVercel,
+        inflight: inflight_stats(),
+        proxy: proxy_stats(),
+        credentials: credential_health()
     });
 });
 
@@ -812,6 +858,7 @@ const statsEndpoints = {
                 nextMonthlyReset: nextMonthlyReset.time,
                 timeToMonthlyReset: nextMonthlyReset.formatted,
                 storageType: useMySQL ? '数据库' : '本地文件',
+                credentialUsage: credential_usage(),
                 resetInfo: "总调用次数永不重置，今日调用每天00:00重置，每周一重置，每月1号重置",
                 resetTime: "00:00 (北京)",
                 serverTime: new Date().toLocaleString('zh-CN', { timeZone: 'Asia/Shanghai' }),
@@ -1008,6 +1055,14 @@ const statsEndpoints = {
         }
     },
 
+    // 各账号的使用次数、风控与冷却情况，不含 cookie
+    getCredentialUsage: (c) => {
+        return c.json({
+            success: true,
+            data: credential_usage()
+        });
+    },
+
     getAnalytics: async (c) => {
         if (!dbPool) {
             return c.json({
@@ -1055,6 +1110,19 @@ app.post('/stats/migrate-to-db', statsEndpoints.migrateToDB);
 app.get('/stats/backups', statsEndpoints.getBackups);
 app.post('/stats/create-backup', statsEndpoints.createBackup);
 app.get('/stats/analytics', statsEndpoints.getAnalytics);
+app.get('/stats/credentials', statsEndpoints.getCredentialUsage);
+
+app.use('/cache', admin_guard);
+app.use('/cache/*', admin_guard);
+app.use('/cache/purge', admin_required);
+app.get('/cache', cache_endpoints.inspect);
+app.post('/cache/purge', cache_endpoints.purge);
+
+// 凭据接口（含扫码登录）必须配置 ADMIN_TOKEN，该规则同样匹配 /credentials
+app.use('/credentials/*', admin_required);
+app.get('/credentials', credential_endpoints.inspect);
+app.post('/credentials/netease/qr', login_endpoints.netease_qr);
+app.get('/credentials/netease/qr/check', login_endpoints.netease_qr_check);
 
 app.get('/', (c) => {
     const currentTime = new Date().toLocaleString('zh-CN', {
@@ -1,15 +1,110 @@
-import { get_runtime } from "./util.js"
+import { get_runtime } from "./runtime.js"
 
-let OVERSEAS = globalThis?.Deno?.env?.get("OVERSEAS") || globalThis?.process?.env?.OVERSEAS
+const env = (name) => globalThis?.Deno?.env?.get(name) || globalThis?.process?.env?.[name]
+
+let OVERSEAS = env("OVERSEAS")
 const runtime = get_runtime()
 
 if (['cloudflare', 'vercel'].includes(runtime)) OVERSEAS = true
 
-const PORT = globalThis?.Deno?.env?.get("PORT") || globalThis?.process?.env?.PORT || 2500
+const PORT = env("PORT") || 2500
 
 OVERSEAS = Boolean(OVERSEAS)
 
+// 缓存后端：memory | file | mysql | none
+const CACHE = env("CACHE") || 'memory'
+const CACHE_DIR = env("CACHE_DIR") || './cache'
+const CACHE_MAX_ENTRIES = parseInt(env("CACHE_MAX_ENTRIES")) || 500
+
+// 各类型缓存时间（秒），url 有效期短，其余按更新频率设置
+const CACHE_TTL = {
+    playlist: parseInt(env("CACHE_TTL_PLAYLIST")) || 600,
+    song: parseInt(env("CACHE_TTL_SONG")) || 3600,
+    lrc: parseInt(env("CACHE_TTL_LRC")) || 86400,
+    klrc: parseInt(env("CACHE_TTL_LRC")) || 86400,
+    pic: parseInt(env("CACHE_TTL_PIC")) || 86400,
+    url: parseInt(env("CACHE_TTL_URL")) || 300,
+    default: parseInt(env("CACHE_TTL")) || 600,
+}
+
+// 上游请求超时（毫秒）
+const UPSTREAM_TIMEOUT = parseInt(env("UPSTREAM_TIMEOUT")) || 15000
+
+// 批量接口单次最多条目数与并发数
+const BATCH_MAX_ITEMS = parseInt(env("BATCH_MAX_ITEMS")) || 50
+const BATCH_CONCURRENCY = parseInt(env("BATCH_CONCURRENCY")) || 4
+
+// 列表类型单页最多歌曲数，未指定 limit 时默认返回该数量
+const PAGE_LIMIT_MAX = parseInt(env("PAGE_LIMIT_MAX")) || 1000
+
+// 音频代理：最大同时转发的流数量与总带宽（字节/秒，0 为不限速）
+const PROXY_MAX_STREAMS = parseInt(env("PROXY_MAX_STREAMS")) || 10
+const PROXY_BANDWIDTH = parseInt(env("PROXY_BANDWIDTH")) || 0
+
+// 订阅源（rss/atom）条目首次出现时间的保存文件
+const FEED_SEEN_FILE = env("FEED_SEEN_FILE") || './feed_seen.json'
+
+// /docs 页面的 swagger-ui 静态文件，本地未安装 swagger-ui-dist 或无法读取文件时从该地址加载
+const SWAGGER_UI_CDN = (env("SWAGGER_UI_CDN") || 'https://unpkg.com/swagger-ui-dist@5').replace(/\/+$/, '')
+
+// 合并翻译歌词时允许的时间误差（毫秒），设为 0 则只匹配时间完全相同的行
+// QQ 音乐 trans 与网易云用户翻译常有 10~50ms 偏差，逐行与逐字歌词共用
+const LYRIC_ALIGN_TOLERANCE = env("LYRIC_ALIGN_TOLERANCE") ? parseInt(env("LYRIC_ALIGN_TOLERANCE")) : 100
+
+// 歌曲无法播放时是否到其他 provider 搜索同一首歌，请求可用 fallback=0/1 覆盖
+const URL_FALLBACK = ['1', 'true'].includes(env("URL_FALLBACK"))
+// 匹配得分（0~1）不低于该值才使用
+const FALLBACK_MIN_SCORE = parseFloat(env("FALLBACK_MIN_SCORE")) || 0.75
+
+// 登录凭据：环境变量直接给出 cookie 字符串，或写在凭据文件中
+const NETEASE_COOKIE = env("NETEASE_COOKIE") || ''
+const TENCENT_COOKIE = env("TENCENT_COOKIE") || ''
+const CREDENTIALS_FILE = env("CREDENTIALS_FILE") || './credentials.json'
+
+// 多个账号的选择方式：round-robin 轮询 | lru 最久未使用
+const CREDENTIAL_ROTATION = env("CREDENTIAL_ROTATION") === 'lru' ? 'lru' : 'round-robin'
+// 账号触发风控或连续多次取不到播放链接后的冷却时间（秒）
+const CREDENTIAL_COOLDOWN = parseInt(env("CREDENTIAL_COOLDOWN")) || 600
+const CREDENTIAL_EMPTY_LIMIT = parseInt(env("CREDENTIAL_EMPTY_LIMIT")) || 3
+
+// 凭据健康检查间隔（秒），设为 0 关闭；凭据失效或会员即将到期时告警，配置 webhook 时同时 POST 通知
+const CREDENTIAL_CHECK_INTERVAL = env("CREDENTIAL_CHECK_INTERVAL") ? parseInt(env("CREDENTIAL_CHECK_INTERVAL")) : 3600
+const CREDENTIAL_WEBHOOK = env("CREDENTIAL_WEBHOOK") || ''
+const CREDENTIAL_EXPIRY_WARN_DAYS = parseInt(env("CREDENTIAL_EXPIRY_WARN_DAYS")) || 7
+
+// 请求签名密钥，兼容 Meting PHP API 的 auth 参数，未设置时不校验
+const AUTH_SECRET = env("AUTH_SECRET") || ''
+
+// 管理接口令牌，未设置时查询类接口不校验，/credentials 与 /cache/purge 直接拒绝
+const ADMIN_TOKEN = env("ADMIN_TOKEN") || ''
+
 export default {
     OVERSEAS,
     PORT,
+    CACHE,
+    CACHE_DIR,
+    CACHE_MAX_ENTRIES,
+    CACHE_TTL,
+    UPSTREAM_TIMEOUT,
+    BATCH_MAX_ITEMS,
+    BATCH_CONCURRENCY,
+    PAGE_LIMIT_MAX,
+    PROXY_MAX_STREAMS,
+    PROXY_BANDWIDTH,
+    FEED_SEEN_FILE,
+    SWAGGER_UI_CDN,
+    LYRIC_ALIGN_TOLERANCE,
+    URL_FALLBACK,
+    FALLBACK_MIN_SCORE,
+    NETEASE_COOKIE,
+    TENCENT_COOKIE,
+    CREDENTIALS_FILE,
+    CREDENTIAL_ROTATION,
+    CREDENTIAL_COOLDOWN,
+    CREDENTIAL_EMPTY_LIMIT,
+    CREDENTIAL_CHECK_INTERVAL,
+    CREDENTIAL_WEBHOOK,
+    CREDENTIAL_EXPIRY_WARN_DAYS,
+    AUTH_SECRET,
+    ADMIN_TOKEN,
 }
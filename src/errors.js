@@ -0,0 +1,93 @@
+// 统一的错误模型：code 为稳定的错误码，status 为对应的 HTTP 状态码
+export class MetingError extends Error {
+    constructor(message, { status = 500, code = 'INTERNAL_ERROR', detail } = {}) {
+        super(message)
+        this.name = this.constructor.name
+        this.status = status
+        this.code = code
+        this.detail = detail
+    }
+}
+
+// 请求参数不合法，如不支持的 server/type
+export class InvalidParamError extends MetingError {
+    constructor(message = '参数不合法', detail) {
+        super(message, { status: 400, code: 'INVALID_PARAM', detail })
+    }
+}
+
+export class InvalidIdError extends MetingError {
+    constructor(message = 'id 不合法', detail) {
+        super(message, { status: 400, code: 'INVALID_ID', detail })
+    }
+}
+
+// 请求签名缺失或错误
+export class InvalidSignatureError extends MetingError {
+    constructor(message = '签名校验失败', detail) {
+        super(message, { status: 403, code: 'INVALID_SIGNATURE', detail })
+    }
+}
+
+export class NotFoundError extends MetingError {
+    constructor(message = '资源不存在', detail) {
+        super(message, { status: 404, code: 'NOT_FOUND', detail })
+    }
+}
+
+// 无版权或需要 VIP
+export class RestrictedError extends MetingError {
+    constructor(message = '资源受版权或会员限制', detail) {
+        super(message, { status: 403, code: 'RESTRICTED', detail })
+    }
+}
+
+export class UpstreamThrottledError extends MetingError {
+    constructor(message = '上游接口限流，请稍后再试', detail) {
+        super(message, { status: 503, code: 'UPSTREAM_THROTTLED', detail })
+    }
+}
+
+export class UpstreamTimeoutError extends MetingError {
+    constructor(message = '上游接口超时', detail) {
+        super(message, { status: 504, code: 'UPSTREAM_TIMEOUT', detail })
+    }
+}
+
+// 上游返回了无法识别的错误
+export class UpstreamError extends MetingError {
+    constructor(message = '上游接口请求失败', detail) {
+        super(message, { status: 502, code: 'UPSTREAM_ERROR', detail })
+    }
+}
+
+// 音频代理并发已满
+export class ProxyBusyError extends MetingError {
+    constructor(message = '代理繁忙，请稍后再试', detail) {
+        super(message, { status: 503, code: 'PROXY_BUSY', detail })
+    }
+}
+
+// 服务端配置缺失，如未设置外部 API 地址
+export class ProviderMisconfiguredError extends MetingError {
+    constructor(message = '服务未正确配置', detail) {
+        super(message, { status: 500, code: 'PROVIDER_MISCONFIGURED', detail })
+    }
+}
+
+// 将任意异常转换为 MetingError
+export const to_meting_error = (error) => {
+    if (error instanceof MetingError) return error
+    if (error?.name === 'AbortError' || error?.name === 'TimeoutError') {
+        return new UpstreamTimeoutError(undefined, error.message)
+    }
+    return new UpstreamError(undefined, error?.message || error)
+}
+
+export const error_body = (error, param) => ({
+    status: error.status,
+    code: error.code,
+    message: error.message,
+    ...(error.detail !== undefined && { detail: error.detail }),
+    ...(param && { param }),
+})
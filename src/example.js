@@ -5,11 +5,15 @@ export default {
         "lrc": { "show": false, "value": "000i26Sh1ZyiNU" },
         "pic": { "show": false, "value": "002Rnpvi058Qdm" },
         "url": { "show": false, "value": "002Rnpvi058Qdm" },
+        "artist": { "show": true, "value": "0025NhlN2yWrP4" },
+        "album": { "show": true, "value": "000MkMni19ClKG" },
+        "search": { "show": true, "value": "晴天" },
     },
     "netease": {
         "playlist": { "show": true, "value": "17584514086" },
         "song": { "show": true, "value": "473403185" },
         "artist": { "show": true, "value": "12441107" },
+        "album": { "show": true, "value": "32311" },
         "lrc": { "show": false, "value": "2015217630" },
         "url": { "show": false, "value": "473403185" },
         "search": { "show": true, "value": "KN33S0XXX" },
@@ -0,0 +1,189 @@
+import config from "../config.js"
+import { InvalidParamError } from "../errors.js"
+import { parse_lrc, stringify_lrc } from "./lrc.js"
+
+export const LYRIC_FORMATS = ['lrc', 'srt', 'vtt', 'json']
+
+// original: 仅原文  translation: 仅翻译（无翻译时显示原文）
+// inline: 翻译附在原文后的括号中  separate: 原文、音译、翻译各占一行
+export const LYRIC_MODES = ['original', 'translation', 'inline', 'separate']
+
+// 字幕最后一行没有下一行作为结束时间，默认显示 5 秒
+const LAST_LINE_DURATION = 5000
+
+/**
+ * 为原文每一行查找附加歌词（翻译、音译）
+ * 时间差在 tolerance 内的行按就近原则一一配对，时间差小的优先
+ * @returns {{ texts: (string | null)[], unmatched: { time: number, text: string }[] }} unmatched 为未能配对的附加歌词
+ */
+export const attach = (lyricArray, extraArray, tolerance = config.LYRIC_ALIGN_TOLERANCE) => {
+    const extras = extraArray.filter(line => line.text.length)
+    const pairs = []
+    for (let i = 0, start = 0; i < lyricArray.length; i += 1) {
+        const time = lyricArray[i].time
+        while (start < extras.length && extras[start].time < time - tolerance) {
+            start += 1
+        }
+        for (let j = start; j < extras.length && extras[j].time <= time + tolerance; j += 1) {
+            pairs.push({ i, j, diff: Math.abs(extras[j].time - time) })
+        }
+    }
+
+    const texts = lyricArray.map(() => null)
+    const used = new Set()
+    for (const { i, j } of pairs.sort((a, b) => a.diff - b.diff)) {
+        if (texts[i] !== null || used.has(j)) continue
+        texts[i] = extras[j].text
+        used.add(j)
+    }
+    return { texts, unmatched: extras.filter((_, j) => !used.has(j)) }
+}
+
+/**
+ * 解析原文与翻译并合并，额外返回未能对齐的翻译行
+ * @param {{ tolerance?: number, offset?: number }} options offset 与 LRC 的 [offset:] 相同，正值使歌词整体提前
+ */
+const merge = (lyric = '', tlyric = '', rlyric, { tolerance = config.LYRIC_ALIGN_TOLERANCE, offset = 0 } = {}) => {
+    const lyricArray = parse_lrc(lyric).lines
+    const translations = attach(lyricArray, parse_lrc(tlyric).lines, tolerance)
+    const romanizations = rlyric !== undefined && attach(lyricArray, parse_lrc(rlyric).lines, tolerance)
+    return {
+        lines: lyricArray.map((line, i) => ({
+            time: Math.max(0, line.time - offset),
+            text: line.text,
+            translation: translations.texts[i],
+            ...(romanizations && { romanization: romanizations.texts[i] }),
+        })),
+        unmatched: translations.unmatched,
+    }
+}
+
+/**
+ * 解析原文与翻译，合并为时间轴
+ * 传入 rlyric 时每行额外带有 romanization 字段
+ * @returns {{ time: number, text: string, translation: string | null, romanization?: string | null }[]}
+ */
+export const timeline = (lyric = '', tlyric = '', rlyric, options) => merge(lyric, tlyric, rlyric, options).lines
+
+// 按 lrcmode 返回一行歌词要显示的各层文本
+const layers = (line, mode) => {
+    const extra = [line.romanization, line.translation].filter(Boolean)
+    switch (mode) {
+        case 'original':
+            return [line.text]
+        case 'translation':
+            return [line.translation || line.text]
+        case 'separate':
+            return [line.text, ...extra]
+        default:
+            return [extra.length ? `${line.text} (${extra.join(' / ')})` : line.text]
+    }
+}
+
+const pad = (n, width = 2) => String(n).padStart(width, '0')
+
+const clock = (ms, separator) => {
+    const hour = Math.floor(ms / 3600000)
+    const minute = Math.floor((ms % 3600000) / 60000)
+    const second = Math.floor((ms % 60000) / 1000)
+    return `${pad(hour)}:${pad(minute)}:${pad(second)}${separator}${pad(Math.floor(ms % 1000), 3)}`
+}
+
+// meta 为原文的元信息标签，原样输出在开头
+export const to_lrc = (lines, mode = 'inline', meta = {}) => stringify_lrc({
+    meta,
+    lines: lines.flatMap(x => layers(x, mode).map(text => ({ time: x.time, text }))),
+})
+
+// 字幕格式以下一行的开始时间作为结束时间，空行只作为上一行的结束标记
+const cues = (lines, mode) => lines
+    .map((line, i) => ({
+        ...line,
+        end: i + 1 < lines.length ? lines[i + 1].time : line.time + LAST_LINE_DURATION,
+    }))
+    .filter(line => line.text.trim() && line.end > line.time)
+    .map(line => ({
+        ...line,
+        body: layers(line, mode).join('\n'),
+    }))
+
+export const to_srt = (lines, mode = 'separate') => cues(lines, mode)
+    .map((cue, i) => `${i + 1}\n${clock(cue.time, ',')} --> ${clock(cue.end, ',')}\n${cue.body}\n`)
+    .join('\n')
+
+export const to_vtt = (lines, mode = 'separate') => 'WEBVTT\n\n' + cues(lines, mode)
+    .map(cue => `${clock(cue.time, '.')} --> ${clock(cue.end, '.')}\n${cue.body}\n`)
+    .join('\n')
+
+const CONTENT_TYPES = {
+    lrc: 'text/plain; charset=UTF-8',
+    srt: 'application/x-subrip; charset=UTF-8',
+    vtt: 'text/vtt; charset=UTF-8',
+    json: 'application/json; charset=UTF-8',
+}
+
+const check_lyric = (format, mode) => {
+    if (!LYRIC_FORMATS.includes(format)) {
+        throw new InvalidParamError(`lrcformat 仅支持 ${LYRIC_FORMATS.join('/')}`)
+    }
+    if (mode !== undefined && !LYRIC_MODES.includes(mode)) {
+        throw new InvalidParamError(`lrcmode 仅支持 ${LYRIC_MODES.join('/')}`)
+    }
+}
+
+/**
+ * 按指定格式输出歌词
+ * @param {{ lyric: string, tlyric?: string, rlyric?: string }} data provider 返回的歌词，rlyric 为音译
+ * @param {{ format?: string, mode?: string, roma?: boolean, offset?: number, tolerance?: number }} options
+ * mode 默认 LRC 为 inline、字幕为 separate；roma 为 true 时加入音译歌词
+ * offset 整体平移时间轴（毫秒），tolerance 为翻译对齐允许的误差
+ * @returns {{ body: string | object[], content_type: string, unmatched: object[] }} json 格式的 body 为数组，unmatched 为未对齐的翻译行
+ */
+export const render_lyric = (data, { format = 'lrc', mode, roma = false, offset = 0, tolerance } = {}) => {
+    check_lyric(format, mode)
+
+    const lyric = data.lyric || ''
+    const tlyric = data.tlyric || ''
+    const rlyric = roma ? data.rlyric || '' : undefined
+    const { lines, unmatched } = merge(lyric, tlyric, rlyric, { tolerance, offset })
+    let body
+    switch (format) {
+        case 'srt':
+            body = to_srt(lines, mode)
+            break
+        case 'vtt':
+            body = to_vtt(lines, mode)
+            break
+        case 'json':
+            body = lines
+            break
+        default:
+            // 没有任何时间标签的纯文本（如“纯音乐，请欣赏”）原样返回
+            body = lines.length ? to_lrc(lines, mode, parse_lrc(lyric).meta) : lyric
+    }
+    return { body, content_type: CONTENT_TYPES[format], unmatched }
+}
+
+// lrcoffset 参数（毫秒），逐行与逐字歌词共用
+export const parse_offset = (value) => {
+    const offset = value === undefined || value === '' ? 0 : Number(value)
+    if (!Number.isInteger(offset)) {
+        throw new InvalidParamError('lrcoffset 参数不合法')
+    }
+    return offset
+}
+
+// 从请求参数读取并校验歌词输出选项：lrcformat、lrcmode、lrcroma、lrcoffset
+// 在请求上游之前调用，参数不合法时不产生上游请求与缓存
+// 对齐误差 tolerance 来自服务端配置 LYRIC_ALIGN_TOLERANCE 而非请求参数
+export const lyric_options = (params = {}) => {
+    const format = params.lrcformat || 'lrc'
+    const mode = params.lrcmode || undefined
+    check_lyric(format, mode)
+    return {
+        format,
+        mode,
+        roma: [1, '1', true].includes(params.lrcroma),
+        offset: parse_offset(params.lrcoffset),
+    }
+}
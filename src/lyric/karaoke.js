@@ -0,0 +1,109 @@
+import { InvalidParamError } from "../errors.js"
+import { attach, parse_offset } from "./index.js"
+
+// 逐字歌词统一结构：
+// [{ start, duration, text, translation, words: [{ start, duration, text }] }]，时间单位为毫秒
+
+export const KARAOKE_FORMATS = ['json', 'lrc']
+
+const LINE = /^\[(\d+),(\d+)\](.*)$/
+
+const make_line = (start, duration, words) => ({
+    start,
+    duration,
+    text: words.map(word => word.text).join(''),
+    translation: null,
+    words,
+})
+
+// 网易云 yrc：[行开始,行时长](字开始,字时长,0)字(字开始,字时长,0)字...
+// 以 { 开头的行为作词作曲等 JSON 元信息，忽略
+// 字的文本截止到下一个时间元组，文本本身可以含有括号，如“(Live)”
+const YRC_WORD = /\((\d+),(\d+),-?\d+\)(.*?)(?=\(\d+,\d+,-?\d+\)|$)/g
+
+export const parse_yrc = (yrc = '') => {
+    const lines = []
+    for (const raw of yrc.split('\n')) {
+        const match = raw.trim().match(LINE)
+        if (!match) continue
+        const words = [...match[3].matchAll(YRC_WORD)].map(word => ({
+            start: parseInt(word[1]),
+            duration: parseInt(word[2]),
+            text: word[3],
+        }))
+        lines.push(make_line(parseInt(match[1]), parseInt(match[2]), words))
+    }
+    return lines.sort((a, b) => a.start - b.start)
+}
+
+// 没有逐字歌词时用逐行时间轴兜底，每行视为一个字
+export const from_timeline = (timeline) => timeline
+    .filter(line => line.text.trim())
+    .map((line, i, lines) => {
+        const next = lines[i + 1]
+        const duration = next ? next.time - line.time : 5000
+        return {
+            ...make_line(line.time, duration, [{ start: line.time, duration, text: line.text }]),
+            translation: line.translation || null,
+        }
+    })
+
+// 为逐字歌词附加翻译，与逐行歌词一样允许 tolerance 毫秒内的误差
+export const attach_translation = (lines, timeline, tolerance) => {
+    const { texts } = attach(lines.map(line => ({ time: line.start })), timeline, tolerance)
+    return lines.map((line, i) => ({
+        ...line,
+        translation: texts[i] || line.translation,
+    }))
+}
+
+// 行与字的开始时间整体平移，正值使歌词提前
+const shift = (lines, offset) => lines.map(line => ({
+    ...line,
+    start: Math.max(0, line.start - offset),
+    words: line.words.map(word => ({ ...word, start: Math.max(0, word.start - offset) })),
+}))
+
+const tag = (ms) => {
+    const minute = Math.floor(ms / 60000).toString().padStart(2, '0')
+    const second = Math.floor((ms % 60000) / 1000).toString().padStart(2, '0')
+    const centisecond = Math.floor((ms % 1000) / 10).toString().padStart(2, '0')
+    return `${minute}:${second}.${centisecond}`
+}
+
+// 增强型 LRC：[mm:ss.xx]<mm:ss.xx>字<mm:ss.xx>字<mm:ss.xx>
+export const to_enhanced_lrc = (lines) => lines
+    .map(line => {
+        const words = line.words.map(word => `<${tag(word.start)}>${word.text}`).join('')
+        const last = line.words[line.words.length - 1]
+        const end = last ? `<${tag(last.start + last.duration)}>` : ''
+        return `[${tag(line.start)}]${words}${end}`
+    })
+    .join('\n')
+
+const check_format = (format) => {
+    if (!KARAOKE_FORMATS.includes(format)) {
+        throw new InvalidParamError(`逐字歌词 lrcformat 仅支持 ${KARAOKE_FORMATS.join('/')}`)
+    }
+}
+
+// 从请求参数读取并校验逐字歌词输出选项：lrcformat（默认 json）、lrcoffset，在请求上游之前调用
+export const karaoke_options = (params = {}) => {
+    const format = params.lrcformat || 'json'
+    check_format(format)
+    return { format, offset: parse_offset(params.lrcoffset) }
+}
+
+/**
+ * @param {{ lines: object[], source: string }} data provider 返回的逐字歌词
+ * @param {{ format?: string, offset?: number }} options json 返回结构化数据，lrc 返回增强型 LRC
+ * offset 与逐行歌词的 lrcoffset 相同（毫秒）
+ */
+export const render_karaoke = (data, { format = 'json', offset = 0 } = {}) => {
+    check_format(format)
+    const lines = offset ? shift(data.lines, offset) : data.lines
+    if (format === 'lrc') {
+        return { body: to_enhanced_lrc(lines), content_type: 'text/plain; charset=UTF-8' }
+    }
+    return { body: offset ? { ...data, lines } : data, content_type: 'application/json; charset=UTF-8' }
+}
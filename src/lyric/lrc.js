@@ -0,0 +1,65 @@
+// LRC 解析与序列化
+// 支持一行多个时间标签、[mm:ss] 无小数、三位以上分钟数、[mm:ss:xx] 写法
+// 以及 [ti:] [ar:] [al:] [by:] [offset:] 等元信息标签
+
+const TIME_TAG = /^\[(\d+):(\d{1,2})(?:[.:](\d+))?\]/
+const META_TAG = /^\[([A-Za-z#][\w#]*):(.*)\]$/
+
+// 小数部分按十进制小数处理：.5 => 500ms，.05 => 50ms，.123 => 123ms
+const to_ms = (minute, second, fraction = '') => parseInt(minute, 10) * 60000
+    + parseInt(second, 10) * 1000
+    + (fraction ? Math.round(parseFloat(`0.${fraction}`) * 1000) : 0)
+
+/**
+ * 解析 LRC 文本
+ * [offset:] 会直接作用于时间轴（正值使歌词提前），结果的 meta 中不再保留
+ * @param {string} text
+ * @returns {{ meta: Record<string, string>, lines: { time: number, text: string }[] }} lines 按时间排序，同一时间保持原顺序
+ */
+export const parse_lrc = (text = '') => {
+    const meta = {}
+    const lines = []
+    for (const raw of text.split(/\r?\n/)) {
+        let rest = raw.trim()
+        const times = []
+        let match
+        while ((match = rest.match(TIME_TAG))) {
+            times.push(to_ms(match[1], match[2], match[3]))
+            rest = rest.slice(match[0].length)
+        }
+        if (times.length) {
+            for (const time of times) lines.push({ time, text: rest })
+            continue
+        }
+        const tag = rest.match(META_TAG)
+        if (tag) {
+            meta[tag[1].toLowerCase()] = tag[2].trim()
+        }
+    }
+
+    const offset = parseInt(meta.offset, 10) || 0
+    delete meta.offset
+    return {
+        meta,
+        lines: lines
+            .map(line => ({ time: Math.max(0, line.time - offset), text: line.text }))
+            .sort((a, b) => a.time - b.time),
+    }
+}
+
+// [mm:ss.xxx]，分钟数超过 99 时按实际位数输出
+export const time_tag = (ms) => {
+    const minute = Math.floor(ms / 60000).toString().padStart(2, '0')
+    const second = Math.floor((ms % 60000) / 1000).toString().padStart(2, '0')
+    const millisecond = Math.floor(ms % 1000).toString().padStart(3, '0')
+    return `[${minute}:${second}.${millisecond}]`
+}
+
+/**
+ * 序列化为 LRC，元信息标签在前，每行一个时间标签
+ * @param {{ meta?: Record<string, string>, lines: { time: number, text: string }[] }} doc
+ */
+export const stringify_lrc = ({ meta = {}, lines }) => [
+    ...Object.entries(meta).map(([key, value]) => `[${key}:${value}]`),
+    ...lines.map(line => `${time_tag(line.time)}${line.text}`),
+].join('\n')
@@ -0,0 +1,73 @@
+import { escape_xml } from "./playlist.js"
+
+// 订阅源格式：RSS 2.0（带 iTunes 播客扩展）与 Atom
+// 条目的 guid 由 server 与歌曲 id 生成，歌单新增歌曲即为新条目
+
+// 原始歌曲数据中的 id：统一模型的 id，否则取 QQ 音乐 songmid 或填充前的 lrc
+export const song_id = (song) => song.id ?? song.songmid ?? song.lrc
+
+export const song_guid = (server, id) => `urn:meting:${server}:song:${id}`
+
+// 发布时间优先取加入歌单的时间 added，其次为 dates 中对应的时间（见 service/feed.js），都没有时为 now
+// 没有播放链接的歌曲（如海外环境下的 QQ 音乐）无法作为播客条目
+const to_items = (songs, { server, ids, dates = [], now }) => songs
+    .map((song, i) => ({
+        ...song,
+        guid: song_guid(song.provider || server, ids[i]),
+        date: new Date(song.added || dates[i] || now),
+    }))
+    .filter(song => song.url)
+
+export const to_rss = (songs, { title, link, server, ids, dates, now = Date.now() }) => {
+    const items = to_items(songs, { server, ids, dates, now })
+    const image = items.find(item => item.pic)?.pic
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:itunes="http://www.itunes.com/dtds/podcast-1.0.dtd" xmlns:atom="http://www.w3.org/2005/Atom">',
+        '  <channel>',
+        `    <title>${escape_xml(title)}</title>`,
+        `    <link>${escape_xml(link)}</link>`,
+        `    <description>${escape_xml(title)}</description>`,
+        `    <atom:link href="${escape_xml(link)}" rel="self" type="application/rss+xml"/>`,
+        `    <lastBuildDate>${new Date(now).toUTCString()}</lastBuildDate>`,
+        ...(image ? [`    <itunes:image href="${escape_xml(image)}"/>`] : []),
+        ...items.map(item => [
+            '    <item>',
+            `      <title>${escape_xml(item.title)}</title>`,
+            `      <description>${escape_xml(`${item.author} - ${item.title}`)}</description>`,
+            `      <itunes:author>${escape_xml(item.author)}</itunes:author>`,
+            `      <enclosure url="${escape_xml(item.url)}" length="0" type="audio/mpeg"/>`,
+            `      <guid isPermaLink="false">${escape_xml(item.guid)}</guid>`,
+            `      <pubDate>${item.date.toUTCString()}</pubDate>`,
+            ...(item.pic ? [`      <itunes:image href="${escape_xml(item.pic)}"/>`] : []),
+            '    </item>',
+        ].join('\n')),
+        '  </channel>',
+        '</rss>',
+    ].join('\n') + '\n'
+}
+
+export const to_atom = (songs, { title, link, server, ids, dates, now = Date.now() }) => {
+    const items = to_items(songs, { server, ids, dates, now })
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>${escape_xml(link)}</id>`,
+        `  <title>${escape_xml(title)}</title>`,
+        `  <updated>${new Date(now).toISOString()}</updated>`,
+        `  <link rel="self" href="${escape_xml(link)}"/>`,
+        '  <author><name>Meting</name></author>',
+        ...items.map(item => [
+            '  <entry>',
+            `    <id>${escape_xml(item.guid)}</id>`,
+            `    <title>${escape_xml(item.title)}</title>`,
+            `    <updated>${item.date.toISOString()}</updated>`,
+            `    <author><name>${escape_xml(item.author)}</name></author>`,
+            `    <content type="text">${escape_xml(`${item.author} - ${item.title}`)}</content>`,
+            `    <link rel="enclosure" href="${escape_xml(item.url)}" type="audio/mpeg"/>`,
+            ...(item.pic ? [`    <link rel="related" href="${escape_xml(item.pic)}" type="image/jpeg"/>`] : []),
+            '  </entry>',
+        ].join('\n')),
+        '</feed>',
+    ].join('\n') + '\n'
+}
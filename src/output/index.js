@@ -0,0 +1,53 @@
+import { InvalidParamError } from "../errors.js"
+import { to_m3u8, to_xspf, to_jspf } from "./playlist.js"
+import { to_rss, to_atom } from "./feed.js"
+
+// 支持播放列表格式的类型，song 也返回列表
+export const OUTPUT_TYPES = ['playlist', 'artist', 'album', 'search', 'song']
+
+// output 参数：把歌曲列表渲染为播放器可直接导入的文件或可订阅的 feed
+// feed 不作为附件下载，便于订阅器直接读取；feed 为 true 的格式需要条目的发布时间
+const FORMATS = {
+    m3u8: { render: to_m3u8, content_type: 'audio/x-mpegurl; charset=UTF-8', types: OUTPUT_TYPES, attachment: true },
+    xspf: { render: to_xspf, content_type: 'application/xspf+xml; charset=UTF-8', types: OUTPUT_TYPES, attachment: true },
+    jspf: { render: (songs, options) => JSON.stringify(to_jspf(songs, options), null, 2), content_type: 'application/jspf+json; charset=UTF-8', types: OUTPUT_TYPES, attachment: true },
+    rss: { render: to_rss, content_type: 'application/rss+xml; charset=UTF-8', types: ['playlist'], attachment: false, feed: true },
+    atom: { render: to_atom, content_type: 'application/atom+xml; charset=UTF-8', types: ['playlist'], attachment: false, feed: true },
+}
+
+export const OUTPUT_FORMATS = Object.keys(FORMATS)
+
+// 下载文件名只保留安全字符，完整名称通过 filename* 传递
+const disposition = (name) => {
+    const ascii = name.replace(/[^\w.-]+/g, '_')
+    return `attachment; filename="${ascii}"; filename*=UTF-8''${encodeURIComponent(name)}`
+}
+
+export const is_feed = (format) => Boolean(FORMATS[format]?.feed)
+
+export const check_output = (format, type) => {
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw new InvalidParamError(`output 仅支持 ${OUTPUT_FORMATS.join('/')}`)
+    }
+    const { types } = FORMATS[format]
+    if (!types.includes(type)) {
+        throw new InvalidParamError(`output=${format} 仅适用于 ${types.join('/')}`)
+    }
+}
+
+/**
+ * @param {object[]} songs 已填充链接的歌曲列表
+ * @param {{ format: string, type: string, server: string, id: string, link?: string, ids?: string[], dates?: number[], album?: { name: string, artist: string } }} options
+ * link 为当前请求地址，ids 为各歌曲的原始 id，dates 为各条目的发布时间，feed 格式需要；有专辑信息时以专辑名作为标题
+ * @returns {{ body: string, content_type: string, content_disposition: string | null }}
+ */
+export const render_output = (songs, { format, type, server, id, link, ids = [], dates, album }) => {
+    check_output(format, type)
+    const { render, content_type, attachment } = FORMATS[format]
+    const title = album ? [album.artist, album.name].filter(Boolean).join(' - ') : `${server} ${type} ${id}`
+    return {
+        body: render(songs, { title, link, server, ids, dates }),
+        content_type,
+        content_disposition: attachment ? disposition(`${server}-${type}-${id}.${format}`) : null,
+    }
+}
@@ -0,0 +1,56 @@
+// 播放列表格式：扩展 M3U8、XSPF、JSPF
+// songs 为已填充链接的 APlayer 歌曲列表 { title, author, url, pic, lrc }
+
+export const escape_xml = (text = '') => String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;')
+
+// 时长未知时 #EXTINF 按规范填 -1
+const seconds = (song) => song.duration ? Math.round(song.duration / 1000) : -1
+
+// EXTINF 中的逗号用于分隔时长与标题，换行会破坏格式
+const one_line = (text = '') => String(text).replace(/[\r\n]+/g, ' ')
+
+export const to_m3u8 = (songs, { title }) => [
+    '#EXTM3U',
+    `#PLAYLIST:${one_line(title)}`,
+    ...songs.flatMap(song => [
+        `#EXTINF:${seconds(song)},${one_line(song.author)} - ${one_line(song.title)}`,
+        ...(song.pic ? [`#EXTIMG:${song.pic}`] : []),
+        song.url,
+    ]),
+].join('\n') + '\n'
+
+export const to_xspf = (songs, { title }) => [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<playlist version="1" xmlns="http://xspf.org/ns/0/">',
+    `  <title>${escape_xml(title)}</title>`,
+    '  <trackList>',
+    ...songs.map(song => [
+        '    <track>',
+        `      <location>${escape_xml(song.url)}</location>`,
+        `      <title>${escape_xml(song.title)}</title>`,
+        `      <creator>${escape_xml(song.author)}</creator>`,
+        ...(song.pic ? [`      <image>${escape_xml(song.pic)}</image>`] : []),
+        ...(song.duration ? [`      <duration>${song.duration}</duration>`] : []),
+        '    </track>',
+    ].join('\n')),
+    '  </trackList>',
+    '</playlist>',
+].join('\n') + '\n'
+
+export const to_jspf = (songs, { title }) => ({
+    playlist: {
+        title,
+        track: songs.map(song => ({
+            location: [song.url],
+            title: song.title,
+            creator: song.author,
+            ...(song.pic && { image: song.pic }),
+            ...(song.duration && { duration: song.duration }),
+        })),
+    },
+})
@@ -0,0 +1,34 @@
+import { request, netease_error } from "./util.js"
+import { NETEASE_ORIGIN } from "./config.js"
+
+/**
+ * 账号信息，供凭据健康检查使用，credential 为账号池中的账号
+ * @returns {Promise<{ logged_in: boolean, nickname?: string, vip?: boolean, vip_level?: number | null, vip_expires?: number | null }>}
+ * vip_expires 为黑胶 VIP 到期时间戳（毫秒）
+ */
+export const get_account_status = async (credential) => {
+    const account = await request('POST', `${NETEASE_ORIGIN}/weapi/w/nuser/account/get`, {}, {
+        crypto: 'weapi',
+        credential,
+    })
+    if (account.code !== 200) {
+        throw netease_error(account)
+    }
+    // 游客或 MUSIC_U 失效时没有 profile
+    if (!account.profile) {
+        return { logged_in: false }
+    }
+
+    const vip = await request('POST', `${NETEASE_ORIGIN}/weapi/music-vip-membership/front/vip/info`, {}, {
+        crypto: 'weapi',
+        credential,
+    })
+    const expires = vip.data?.associator?.expireTime || null
+    return {
+        logged_in: true,
+        nickname: account.profile.nickname,
+        vip: expires ? expires > Date.now() : account.account?.vipType > 0,
+        vip_level: vip.data?.redVipLevel ?? null,
+        vip_expires: expires,
+    }
+}
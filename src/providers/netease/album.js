@@ -0,0 +1,38 @@
+import { request } from "./util.js"
+import { map_song_list, netease_error } from "./util.js"
+import { join_artists, to_date } from "../../song.js"
+
+/**
+ * 专辑歌曲与专辑信息，接口一次返回全部歌曲，在此分页
+ * 歌曲缺少封面或发行日期时使用专辑的
+ * @returns {Promise<{ songs: object[], total: number, album: { id: string, name: string, pic: string | null, artist: string, published: string | null, company: string | null, description: string | null, size: number } }>}
+ */
+export const get_album = async (id, { limit = Infinity, offset = 0 } = {}) => {
+    const res = await request('POST', `https://music.163.com/weapi/v1/album/${id}`, {}, {
+        crypto: 'weapi',
+        cookie: {},
+    })
+
+    if (!res.album || !res.songs) {
+        throw netease_error(res)
+    }
+
+    const info = res.album
+    const album = {
+        id: String(info.id),
+        name: info.name,
+        pic: info.picUrl || null,
+        artist: info.artists?.length ? join_artists(info.artists) : info.artist?.name || '',
+        published: to_date(info.publishTime),
+        company: info.company || null,
+        description: info.description || null,
+        size: info.size ?? res.songs.length,
+    }
+
+    const songs = map_song_list(res, { pic: album.pic, published: album.published })
+
+    return { songs: songs.slice(offset, offset + limit), total: songs.length, album }
+}
+
+// const res = await get_album("34720827");
+// console.log(res)
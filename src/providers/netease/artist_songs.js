@@ -1,5 +1,5 @@
 import { request } from "./util.js"
-import { map_song_list } from "./util.js"
+import { map_song_list, netease_error } from "./util.js"
 
 export const get_artist_songs = async (id, cookie) => {
     id = parseInt(id)
@@ -12,6 +12,10 @@ export const get_artist_songs = async (id, cookie) => {
         cookie: {},
     })
 
+    if (!res.songs) {
+        throw netease_error(res)
+    }
+
     return map_song_list(res)
 
 }
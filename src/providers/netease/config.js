@@ -1,5 +1,11 @@
 const net_ease_anonymous_token = "de91e1f8119d32e01cc73efcb82c0a30c9137e8d4f88dbf5e3d7bf3f28998f21add2bc8204eeee5e56c0bbb8743574b46ca2c10c35dc172199bef9bf4d60ecdeab066bb4dc737d1c3324751bcc9aaf44c3061cd18d77b7a0"
 
+// 登录接口的地址，可指向本地替身服务以便测试
+const NETEASE_ORIGIN = globalThis?.Deno?.env?.get("NETEASE_ORIGIN")
+    || globalThis?.process?.env?.NETEASE_ORIGIN
+    || 'https://music.163.com'
+
 export {
     net_ease_anonymous_token,
+    NETEASE_ORIGIN,
 }
@@ -1,19 +1,28 @@
 import { get_playlist } from "./playlist.js"
 import { get_song_url, get_song_info } from "./song.js"
-import { get_lyric } from "./lyric.js"
+import { get_lyric, get_karaoke_lyric } from "./lyric.js"
 import { get_artist_songs } from "./artist_songs.js"
 import { get_search_songs } from "./search.js"
+import { get_album } from "./album.js"
+import { get_account_status } from "./account.js"
+import { InvalidIdError } from "../../errors.js"
 
-const support_type = ['url', 'lrc', 'song', 'playlist', 'artist', 'search', 'pic']
+const support_type = ['url', 'lrc', 'klrc', 'song', 'playlist', 'artist', 'album', 'search', 'pic']
 
-const handle = async (type, id, cookie = '') => {
+const handle = async (type, id, options = {}) => {
+    if (type !== 'search' && !/^\d+$/.test(id)) {
+        throw new InvalidIdError(`网易云 ${type} id 应为数字`)
+    }
     let result;
     switch (type) {
         case 'lrc':
             result = await get_lyric(id)
             break
+        case 'klrc':
+            result = await get_karaoke_lyric(id)
+            break
         case 'url':
-            result = await get_song_url(id)
+            result = await get_song_url(id, options)
             break
         case 'pic':
             result = (await get_song_info(id))[0].pic
@@ -22,13 +31,16 @@ const handle = async (type, id, cookie = '') => {
             result = await get_song_info(id)
             break
         case 'playlist':
-            result = await get_playlist(id)
+            result = await get_playlist(id, options)
             break
         case 'artist':
             result = await get_artist_songs(id)
             break
+        case 'album':
+            result = await get_album(id, options)
+            break
         case 'search':
-            result = await get_search_songs(id)
+            result = await get_search_songs(id, options)
             break
         default:
             return -1;
@@ -38,6 +50,6 @@ const handle = async (type, id, cookie = '') => {
 
 export default {
     register: (ctx) => {
-        ctx.register('netease', { handle, support_type })
+        ctx.register('netease', { handle, support_type, check_account: get_account_status })
     }
 }
@@ -0,0 +1,49 @@
+import { request, netease_error } from "./util.js"
+import { NETEASE_ORIGIN } from "./config.js"
+
+// 扫码登录：获取 key → 生成二维码链接 → 轮询状态，授权后从响应的 Set-Cookie 中取得 MUSIC_U
+
+// 登录请求不使用账号池中的账号：既不带上其他账号的 MUSIC_U，也不计入使用次数或触发冷却
+const ANONYMOUS = { id: null, cookie: {} }
+
+export const QR_STATUS = {
+    800: 'expired',
+    801: 'waiting',
+    802: 'scanned',
+    803: 'authorized',
+}
+
+export const get_qr_key = async () => {
+    const res = await request('POST', `${NETEASE_ORIGIN}/weapi/login/qrcode/unikey`, { type: 1 }, {
+        crypto: 'weapi',
+        credential: ANONYMOUS,
+    })
+    if (res.code !== 200 || !res.unikey) {
+        throw netease_error(res)
+    }
+    return res.unikey
+}
+
+// 用网易云 App 扫描该链接生成的二维码
+export const create_qr_url = (key) => `https://music.163.com/login?codekey=${encodeURIComponent(key)}`
+
+/**
+ * @returns {Promise<{ code: number, status: string, message: string, cookie?: Record<string, string> }>} 授权后带有 cookie
+ */
+export const check_qr = async (key) => {
+    const res = await request('POST', `${NETEASE_ORIGIN}/weapi/login/qrcode/client/login`, { key, type: 1 }, {
+        crypto: 'weapi',
+        credential: ANONYMOUS,
+        set_cookie: true,
+    })
+    const status = QR_STATUS[res.code]
+    if (!status) {
+        throw netease_error(res)
+    }
+    return {
+        code: res.code,
+        status,
+        message: res.message || '',
+        ...(status === 'authorized' && { cookie: res.set_cookie }),
+    }
+}
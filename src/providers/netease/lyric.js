@@ -1,4 +1,6 @@
 import { request } from "./util.js"
+import { timeline } from "../../lyric/index.js"
+import { parse_yrc, from_timeline, attach_translation } from "../../lyric/karaoke.js"
 
 export const get_lyric = async (id, cookie) => {
     // query.cookie.os = 'ios'
@@ -21,9 +23,41 @@ export const get_lyric = async (id, cookie) => {
 
     return {
         lyric: res.lrc?.lyric || '',
-        tlyric: res.tlyric?.lyric || ''
+        tlyric: res.tlyric?.lyric || '',
+        rlyric: res.romalrc?.lyric || ''
     }
 }
 
+// 逐字歌词，无 yrc 时退化为逐行
+export const get_karaoke_lyric = async (id, cookie) => {
+    const data = {
+        id,
+        cp: false,
+        tv: 0,
+        lv: 0,
+        rv: 0,
+        kv: 0,
+        yv: 0,
+        ytv: 0,
+        yrv: 0,
+    }
+    const res = await request(
+        'POST',
+        `https://interface3.music.163.com/eapi/song/lyric/v1`,
+        data,
+        {
+            crypto: 'eapi',
+            url: '/api/song/lyric/v1',
+        },
+    )
+
+    const lines = parse_yrc(res.yrc?.lyric || '')
+    if (lines.length) {
+        return { source: 'yrc', lines: attach_translation(lines, timeline(res.ytlrc?.lyric || '')) }
+    }
+
+    return { source: 'lrc', lines: from_timeline(timeline(res.lrc?.lyric || '', res.tlyric?.lyric || '')) }
+}
+
 // const res = await get_lyric('2015217630')
 // console.log(res)
\ No newline at end of file
@@ -1,40 +1,63 @@
 import { request } from './util.js'
-import { map_song_list } from "./util.js"
+import { map_song_list, netease_error } from "./util.js"
 
-export const get_playlist = async (id, cookie = '') => {
+// song/detail 单次请求的歌曲数量上限
+const DETAIL_CHUNK = 500
+
+export const get_playlist = async (id, { limit = Infinity, offset = 0 } = {}) => {
     const data = {
         id,
         n: 100000,
         s: 8,
     }
-    //不放在data里面避免请求带上无用的数据
-    let limit = 200 || Infinity
-    let offset = 0 || 0
 
     let res = await request('POST', `https://music.163.com/api/v6/playlist/detail`, data, { crypto: 'api', })
 
+    if (!res.playlist) {
+        throw netease_error(res)
+    }
+
     let trackIds = res.playlist.trackIds
+    const total = trackIds.length
+
+    trackIds = trackIds.slice(offset, offset + limit)
+    // trackIds 中的 at 为歌曲加入歌单的时间
+    const added = new Map(trackIds.map(item => [String(item.id), item.at]))
 
-    let idsData = {
-        c:
-            '[' +
-            trackIds
-                .slice(offset, offset + limit)
-                .map((item) => '{"id":' + item.id + '}')
-                .join(',') +
-            ']',
+    const chunks = []
+    for (let i = 0; i < trackIds.length; i += DETAIL_CHUNK) {
+        chunks.push(trackIds.slice(i, i + DETAIL_CHUNK))
     }
 
-    res = await request(
-        'POST',
-        `https://music.163.com/api/v3/song/detail`,
-        idsData,
-        { crypto: 'weapi' }
-    )
+    const songs = []
+    for (const chunk of chunks) {
+        let idsData = {
+            c:
+                '[' +
+                chunk
+                    .map((item) => '{"id":' + item.id + '}')
+                    .join(',') +
+                ']',
+        }
 
-    res = map_song_list(res)
+        res = await request(
+            'POST',
+            `https://music.163.com/api/v3/song/detail`,
+            idsData,
+            { crypto: 'weapi' }
+        )
+
+        if (!res.songs) {
+            throw netease_error(res)
+        }
+
+        songs.push(...map_song_list(res).map(song => {
+            const at = added.get(song.id)
+            return { ...song, added: at ? new Date(at).toISOString() : null }
+        }))
+    }
 
-    return res
+    return { songs, total }
 
 }
 
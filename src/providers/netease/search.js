@@ -1,13 +1,13 @@
 import { request } from "./util.js"
-import { map_song_list } from "./util.js"
+import { map_song_list, netease_error } from "./util.js"
 
-export const get_search_songs = async (id, cookie) => {
+export const get_search_songs = async (id, { limit = 30, offset = 0 } = {}) => {
 
     const data = {
         s: id,
         type: 1, // 1: 单曲, 10: 专辑, 100: 歌手, 1000: 歌单, 1002: 用户, 1004: MV, 1006: 歌词, 1009: 电台, 1014: 视频
-        limit: 30,
-        offset: 0,
+        limit,
+        offset,
         total: true,
     }
 
@@ -17,7 +17,14 @@ export const get_search_songs = async (id, cookie) => {
         url: '/api/cloudsearch/pc'
     })
 
-    return map_song_list(res.result)
+    if (!res.result) {
+        throw netease_error(res)
+    }
+
+    return {
+        songs: map_song_list({ songs: res.result.songs || [] }),
+        total: res.result.songCount || 0,
+    }
 
 }
 
@@ -1,33 +1,49 @@
 import { request } from "./util.js"
-import { map_song_list } from "./util.js"
-
-export const get_song_url = async (id, cookie = '') => {
+import { map_song_list, netease_error } from "./util.js"
+import { NotFoundError } from "../../errors.js"
+import { DEFAULT_QUALITY } from "../../quality.js"
+import { pick_credential, report_credential } from "../../service/credentials.js"
 
+// 接口会自动降级到账号可用的音质，实际音质见返回的 level
+// 限流、超时等错误直接抛出，只有“该音质没有链接”返回空对象
+const request_song_url = async (id, level, credential) => {
     const data = {
         ids: '[' + id + ']',
-        level: 'standard',
+        level,
         encodeType: 'flac',
     }
 
-    let res = {}
-
-    try {
-        res = await request(
-            'POST',
-            `https://interface.music.163.com/eapi/song/enhance/player/url/v1`,
-            data,
-            {
-                crypto: 'eapi',
-                url: '/api/song/enhance/player/url/v1',
-                cookie: {}
-            },
-        )
-    } catch (e) {
-        console.error(e)
+    const res = await request(
+        'POST',
+        `https://interface.music.163.com/eapi/song/enhance/player/url/v1`,
+        data,
+        {
+            crypto: 'eapi',
+            url: '/api/song/enhance/player/url/v1',
+            cookie: {},
+            credential,
+        },
+    )
+    if (res.code !== 200) {
+        throw netease_error(res)
     }
+    return res.data?.[0] || {}
+}
 
-    const url = res.data && res.data[0]?.url?.replace('http://', 'https://')
-    return url || `https://music.163.com/song/media/outer/url?id=${id}.mp3`
+/**
+ * 取不到链接时返回外链地址，该地址常常 404，以 outer 标记，此时音质未知
+ * options.credential 可指定账号
+ * @returns {Promise<{ url: string, quality: string | null, outer?: boolean }>} quality 为实际返回的音质
+ */
+export const get_song_url = async (id, { quality = DEFAULT_QUALITY, credential = pick_credential('netease') } = {}, cookie = '') => {
+    const info = await request_song_url(id, quality, credential)
+    if (info.url) {
+        report_credential('netease', credential.id, 'ok')
+        return { url: info.url.replace('http://', 'https://'), quality: info.level || quality }
+    }
+    report_credential('netease', credential.id, 'empty')
+
+    return { url: `https://music.163.com/song/media/outer/url?id=${id}.mp3`, quality: null, outer: true }
 
 }
 
@@ -43,7 +59,10 @@ export const get_song_info = async (id, cookie = '') => {
     // console.log(res)
 
     if (!res.songs) {
-        throw res
+        throw netease_error(res)
+    }
+    if (res.songs.length === 0) {
+        throw new NotFoundError('歌曲不存在')
     }
 
     res = map_song_list(res)
@@ -1,19 +1,13 @@
 import encrypt from './crypto.js'
 import { net_ease_anonymous_token } from './config.js'
 import { customAlphabet } from 'nanoid/non-secure'
+import config from '../../config.js'
+import { InvalidIdError, NotFoundError, RestrictedError, UpstreamError, UpstreamThrottledError } from '../../errors.js'
+import { make_song, join_artists, to_date } from '../../song.js'
+import { pick_credential, report_credential } from '../../service/credentials.js'
 
 const nanoid = customAlphabet('1234567890abcdef', 32)
 
-// cookie字符串
-const customCookieString = '在此处输入获取的ck';
-
-// 将cookie字符串转换为对象
-const customCookieObject = customCookieString.split(';').reduce((acc, cookie) => {
-    const [key, ...rest] = cookie.trim().split('=');
-    acc[key] = rest.join('='); // 处理值中包含等号的情况
-    return acc;
-  }, {});
-  
 
 const chooseUserAgent = (ua = false) => {
     const userAgentList = {
@@ -60,6 +54,21 @@ const cnip = () => {
 }
 
 
+// -460: 网络太拥挤（风控）  301: 需要登录
+const THROTTLE_CODES = [-460, 301]
+
+// 只取每条 Set-Cookie 的 name=value，忽略 Path、Expires 等属性
+const parse_set_cookie = (headers) => {
+    const lines = headers.getSetCookie?.() || (headers.get('set-cookie') || '').split(/,(?=\s*[^;,=\s]+=)/).filter(Boolean)
+    const result = {}
+    for (const line of lines) {
+        const [pair] = line.split(';')
+        const [key, ...rest] = pair.trim().split('=')
+        if (key) result[key] = rest.join('=')
+    }
+    return result
+}
+
 export const request = async (method, url, data = {}, options) => {
 
     // 确保options.cookie是一个对象
@@ -67,9 +76,10 @@ export const request = async (method, url, data = {}, options) => {
         options.cookie = {};
     }
 
-    // 合并自定义cookie和用户定义的cookie（如果有）
+    // 从账号池选择一个账号（options.credential 可指定），合并用户定义的cookie（如果有）
+    const credential = options.credential || pick_credential('netease')
     options.cookie = {
-        ...customCookieObject,
+        ...credential.cookie,
         ...options.cookie
     };
     
@@ -178,9 +188,14 @@ let headers = { 'User-Agent': chooseUserAgent(options.ua) }
     }
 
 
-    let res, count = 0
+    // 重试等待总时长不超过 UPSTREAM_TIMEOUT 的一半，为最后一次请求留出时间，避免整体超时
+    const deadline = Date.now() + config.UPSTREAM_TIMEOUT / 2
+    let res, count = 0, set_cookie = {}
     do {
         res = await fetch(url, settings)
+        if (options.set_cookie) {
+            set_cookie = parse_set_cookie(res.headers)
+        }
         if (options.crypto === 'eapi') {
             const _ = await res.arrayBuffer('utf-8')
             const enc = new TextDecoder()
@@ -192,26 +207,86 @@ let headers = { 'User-Agent': chooseUserAgent(options.ua) }
         if (count > 1) {
             console.log(`Request ${count} times.`)
         }
+        if (res.code != -460) break
         if (count > 5) {
             console.error(`Max retries exceeded.`)
             break
         }
-        await new Promise(resolve => setTimeout(resolve, 100))
+        // 指数退避并加随机抖动，避免被限流后集中重试
+        const delay = 100 * 2 ** count + Math.random() * 100
+        if (Date.now() + delay > deadline) {
+            console.error(`Retry budget exceeded.`)
+            break
+        }
+        await new Promise(resolve => setTimeout(resolve, delay))
     } while (res.code == -460)  // { code: -460, message: '网络太拥挤，请稍候再试！' }
 
+    // 触发风控或登录失效的账号暂时冷却，后续请求换用其他账号
+    if (credential.id && THROTTLE_CODES.includes(Number(res.code))) {
+        report_credential('netease', credential.id, 'throttled')
+    }
+
+    if (res.code == -460) {
+        throw netease_error(res)
+    }
+
+    // options.set_cookie 为 true 时附带响应设置的 cookie，用于登录
+    if (options.set_cookie) {
+        res.set_cookie = set_cookie
+    }
+
     return res;
 
 }
 
-export const map_song_list = (song_list) => {
+// 根据网易云返回的 code 构造对应的错误
+export const netease_error = (res) => {
+    const detail = { code: res?.code, message: res?.message || res?.msg }
+    switch (Number(res?.code)) {
+        case -460:
+        case -462:
+        case 405:
+        case 406:
+            return new UpstreamThrottledError(undefined, detail)
+        case 400:
+            return new InvalidIdError(undefined, detail)
+        case 404:
+            return new NotFoundError(undefined, detail)
+        case 401:
+        case 403:
+            return new RestrictedError(undefined, detail)
+        default:
+            return new UpstreamError(undefined, detail)
+    }
+}
+
+// mark 中的显式内容标记位
+const MARK_EXPLICIT = 1048576
+
+// fee: 1 为会员歌曲，4 为需购买专辑
+const VIP_FEES = [1, 4]
+
+// 兼容新（ar/al/dt）旧（artists/album/duration）两种歌曲结构
+// fallback 提供歌曲缺少的封面与发行日期，如专辑接口中专辑本身的信息
+export const map_song_list = (song_list, fallback = {}) => {
     return song_list.songs.map(song => {
-        const artists = song.ar || song.artists
-        return {
+        const album = song.al || song.album || {}
+        return make_song({
+            id: song.id,
+            provider: 'netease',
             title: song.name,
-            author: artists.reduce((i, v) => ((i ? i + " / " : i) + v.name), ''),
-            pic: song?.al?.picUrl || song.id,
+            author: join_artists(song.ar || song.artists),
+            album: album.name ?? null,
+            album_id: album.id,
+            duration: song.dt ?? song.duration ?? null,
+            published: to_date(song.publishTime) ?? fallback.published ?? null,
+            explicit: (song.mark & MARK_EXPLICIT) !== 0,
+            vip: VIP_FEES.includes(song.fee),
+            link: `https://music.163.com/song?id=${song.id}`,
+            // 没有封面链接时以歌曲 id 交由 pic 类型获取
+            pic: album.picUrl || fallback.pic || song.id,
             url: song.id,
-            lrc: song.id
-        }
+            lrc: song.id,
+        })
     })
 }
\ No newline at end of file
@@ -1,12 +1,18 @@
 import { SPOTIFY_API } from "./config.js"
+import { ProviderMisconfiguredError } from "../../errors.js"
+import { from_external } from "../../song.js"
 const support_type = ['song', 'playlist']
 
-const handle = async (type, id, cookie = '') => {
+const handle = async (type, id, options = {}) => {
     let result
     const query = `?server=spotify&type=${type}&id=${id}`
+    if (!SPOTIFY_API) {
+        throw new ProviderMisconfiguredError('未配置 SPOTIFY_API')
+    }
     if (support_type.includes(type)) {
         result = await fetch(SPOTIFY_API + query)
         result = await result.json()
+        if (Array.isArray(result)) result = result.map(song => from_external(song, 'spotify'))
     } else {
         result = -1
     }
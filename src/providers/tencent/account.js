@@ -0,0 +1,55 @@
+import { changeUrlQuery, get_auth, LOGIN_EXPIRED } from "./util.js"
+import { UpstreamError } from "../../errors.js"
+
+/**
+ * 账号信息，供凭据健康检查使用，credential 为账号池中的账号
+ * 该接口不返回会员到期时间，vip_expires 恒为 null
+ * @returns {Promise<{ logged_in: boolean, vip?: boolean, vip_level?: number | null, vip_expires?: null }>}
+ */
+export const get_account_status = async (credential) => {
+    const { uin, qqmusic_key, cookie } = get_auth(credential)
+    if (!uin || !qqmusic_key) {
+        return { logged_in: false }
+    }
+
+    const data = {
+        comm: {
+            uin: uin,
+            format: 'json',
+            ct: 19,
+            cv: 0,
+            authst: qqmusic_key,
+        },
+        req_0: {
+            module: 'userInfo.VipQueryServer',
+            method: 'SRFVipQuery_V2',
+            param: {
+                uin_list: [uin],
+            },
+        },
+    }
+
+    const url = changeUrlQuery({ data: JSON.stringify(data) }, 'https://u.y.qq.com/cgi-bin/musicu.fcg')
+    let result = await fetch(url, {
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
+            Referer: 'https://y.qq.com',
+            Cookie: cookie,
+        },
+    })
+    result = await result.json()
+
+    if (result.code === LOGIN_EXPIRED || result.req_0?.code === LOGIN_EXPIRED) {
+        return { logged_in: false }
+    }
+    const info = result.req_0?.data?.infoMap?.[uin]
+    if (!info) {
+        throw new UpstreamError(undefined, { code: result.code, subcode: result.req_0?.code })
+    }
+    return {
+        logged_in: true,
+        vip: Boolean(info.iVipFlag || info.iSuperVip),
+        vip_level: info.iVipLevel ?? null,
+        vip_expires: null,
+    }
+}
@@ -0,0 +1,25 @@
+import { musicu, map_song } from "./util.js"
+import { attach_jsonp_url } from "./song.js"
+import { NotFoundError } from "../../errors.js"
+import config from "../../config.js"
+
+// 专辑歌曲，id 为 albummid
+export const get_album_songs = async (id, { limit = config.PAGE_LIMIT_MAX, offset = 0 } = {}) => {
+    const data = await musicu('music.musichallAlbum.AlbumSongList', 'GetAlbumSongList', {
+        albumMid: id,
+        albumID: 0,
+        order: 2,
+        begin: offset,
+        num: limit,
+    })
+
+    const total = data.totalNum || 0
+    if (!total) {
+        throw new NotFoundError('专辑不存在')
+    }
+    const songs = (data.songList || []).map(item => map_song(item.songInfo))
+    return { songs: await attach_jsonp_url(songs), total }
+}
+
+// const res = await get_album_songs('000MkMni19ClKG')
+// console.log(res)
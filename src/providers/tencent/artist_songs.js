@@ -0,0 +1,24 @@
+import { musicu, map_song } from "./util.js"
+import { attach_jsonp_url } from "./song.js"
+import { NotFoundError } from "../../errors.js"
+import config from "../../config.js"
+
+// 歌手热门歌曲，id 为 singermid
+export const get_artist_songs = async (id, { limit = config.PAGE_LIMIT_MAX, offset = 0 } = {}) => {
+    const data = await musicu('musichall.song_list_server', 'GetSingerSongList', {
+        singerMid: id,
+        order: 1, // 1: 热门, 0: 最新
+        begin: offset,
+        num: limit,
+    })
+
+    const total = data.totalNum || 0
+    if (!total) {
+        throw new NotFoundError('歌手不存在')
+    }
+    const songs = (data.songList || []).map(item => map_song(item.songInfo))
+    return { songs: await attach_jsonp_url(songs), total }
+}
+
+// const res = await get_artist_songs('0025NhlN2yWrP4')
+// console.log(res)
@@ -1,26 +1,46 @@
 import { get_playlist } from "./playlist.js";
 import { get_song_url, get_song_info, get_pic } from "./song.js";
-import { get_lyric } from "./lyric.js"
+import { get_lyric, get_karaoke_lyric } from "./lyric.js"
+import { get_search_songs } from "./search.js"
+import { get_artist_songs } from "./artist_songs.js"
+import { get_album_songs } from "./album.js"
+import { get_account_status } from "./account.js"
+import { InvalidIdError } from "../../errors.js"
 
-const support_type = ['url', 'pic', 'lrc', 'song', 'playlist']
+const support_type = ['url', 'pic', 'lrc', 'klrc', 'song', 'playlist', 'artist', 'album', 'search']
 
-const handle = async (type, id, cookie = '') => {
+const handle = async (type, id, options = {}) => {
+    if (type !== 'search' && !/^[0-9A-Za-z]+$/.test(id)) {
+        throw new InvalidIdError(`QQ音乐 ${type} id 不合法`)
+    }
     let result;
     switch (type) {
         case 'lrc':
             result = await get_lyric(id)
             break
+        case 'klrc':
+            result = await get_karaoke_lyric(id)
+            break
         case 'pic':
             result = await get_pic(id)
             break
         case 'url':
-            result = await get_song_url(id)
+            result = await get_song_url(id, options)
             break
         case 'song':
             result = await get_song_info(id)
             break
         case 'playlist':
-            result = await get_playlist(id)
+            result = await get_playlist(id, options)
+            break
+        case 'artist':
+            result = await get_artist_songs(id, options)
+            break
+        case 'album':
+            result = await get_album_songs(id, options)
+            break
+        case 'search':
+            result = await get_search_songs(id, options)
             break
         default:
             return -1;
@@ -30,6 +50,6 @@ const handle = async (type, id, cookie = '') => {
 
 export default {
     register: (ctx) => {
-        ctx.register('tencent', { handle, support_type })
+        ctx.register('tencent', { handle, support_type, check_account: get_account_status })
     }
 }
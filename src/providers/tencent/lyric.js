@@ -1,4 +1,8 @@
 import { changeUrlQuery } from "./util.js"
+import { timeline } from "../../lyric/index.js"
+import { from_timeline } from "../../lyric/karaoke.js"
+
+const decode = (text) => decodeURIComponent(escape(atob(text || '')))
 
 const get_lyric = async (songmid, cookie = '') => {
     const data = {
@@ -26,15 +30,22 @@ const get_lyric = async (songmid, cookie = '') => {
 
     result = await result.json()
 
-    result.lyric = decodeURIComponent(escape(atob(result.lyric || '')));
-    result.trans = decodeURIComponent(escape(atob(result.trans || '')));
+    result.lyric = decode(result.lyric);
+    result.trans = decode(result.trans);
 
     const res = { lyric: result.lyric, tlyric: result.trans }
     return res;
 }
 
 
+// QQ 音乐的逐字歌词 qrc 只以加密形式返回，暂不支持，按行退化
+const get_karaoke_lyric = async (songmid, cookie = '') => {
+    const { lyric, tlyric } = await get_lyric(songmid, cookie)
+    return { source: 'lrc', lines: from_timeline(timeline(lyric, tlyric)) }
+}
+
+
 // const res = await get_lyric('000i26Sh1ZyiNU')
 // console.log(res)
 
-export { get_lyric }
+export { get_lyric, get_karaoke_lyric }
@@ -1,8 +1,8 @@
-import config from "../../config.js"
-import { get_song_url } from "./song.js"
-import { changeUrlQuery } from "./util.js"
+import { attach_jsonp_url } from "./song.js"
+import { changeUrlQuery, map_song } from "./util.js"
+import { NotFoundError } from "../../errors.js"
 
-const get_playlist = async (id, cookie = '') => {
+const get_playlist = async (id, { limit = Infinity, offset = 0 } = {}) => {
     const data = {
         type: 1,
         utf8: 1,
@@ -21,27 +21,23 @@ const get_playlist = async (id, cookie = '') => {
     let result = await fetch(url, { headers });
 
     result = await result.json()
-    result = result.cdlist[0].songlist
-
-    let jsonp
-    if (config.OVERSEAS) {
-        const ids = result.map(song => song.songmid)
-        jsonp = await get_song_url(ids.join(','))
+    if (!result.cdlist?.[0]) {
+        throw new NotFoundError('歌单不存在', { code: result.code })
     }
-    const res = await Promise.all(result.map(async song => {
-        let song_info = {
-            author: song.singer.reduce((i, v) => ((i ? i + " / " : i) + v.name), ''),
-            title: song.songname,
-            pic: `https://y.gtimg.cn/music/photo_new/T002R300x300M000${song.albummid}.jpg`,
-            url: config.OVERSEAS ? '' : song.songmid,
-            lrc: song.songmid,
-            songmid: song.songmid,
-        }
-        return song_info
-    }));
-
-    if (config.OVERSEAS) res[0].url = jsonp
-    return res;
+    const songlist = result.cdlist[0].songlist || []
+    const total = result.cdlist[0].total_song_num || songlist.length
+    // 接口一次返回全部歌曲，在此分页
+    result = songlist.slice(offset, offset + limit)
+
+    const res = result.map(song => map_song({
+        mid: song.songmid,
+        name: song.songname,
+        singer: song.singer,
+        album: { mid: song.albummid, name: song.albumname },
+        interval: song.interval,
+        pay: { pay_play: song.pay?.payplay },
+    }))
+    return { songs: await attach_jsonp_url(res), total };
 }
 
 
@@ -0,0 +1,29 @@
+import { musicu, map_song } from "./util.js"
+import { attach_jsonp_url } from "./song.js"
+
+const search_page = (keyword, page_num, num_per_page) => musicu('music.search.SearchCgiService', 'DoSearchForQQMusicDesktop', {
+    query: keyword,
+    search_type: 0, // 0: 单曲, 2: 歌单, 7: 歌词, 8: 专辑, 9: 歌手, 12: MV
+    page_num,
+    num_per_page,
+    grp: 1,
+})
+
+// 接口按页返回，每页 limit 首；offset 不是 limit 的整数倍时请求覆盖 [offset, offset + limit) 的相邻两页再截取
+export const get_search_songs = async (keyword, { limit = 30, offset = 0 } = {}) => {
+    const first = Math.floor(offset / limit)
+    const last = Math.floor((offset + limit - 1) / limit)
+    const pages = await Promise.all(
+        Array.from({ length: last - first + 1 }, (_, i) => search_page(keyword, first + i + 1, limit))
+    )
+
+    const list = pages.flatMap(data => data.body?.song?.list || [])
+    const songs = list.slice(offset - first * limit, offset - first * limit + limit).map(map_song)
+    return {
+        songs: await attach_jsonp_url(songs),
+        total: pages[0].meta?.sum ?? songs.length,
+    }
+}
+
+// const res = await get_search_songs('晴天')
+// console.log(res)
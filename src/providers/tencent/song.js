@@ -1,17 +1,31 @@
-import { changeUrlQuery } from "./util.js"
+import { changeUrlQuery, map_song, get_auth, LOGIN_EXPIRED } from "./util.js"
+import { NotFoundError, UpstreamError } from "../../errors.js"
 import config from "../../config.js"
+import { DEFAULT_QUALITY, fallback_qualities } from "../../quality.js"
+import { report_credential } from "../../service/credentials.js"
+
+// 各音质对应的文件前缀与扩展名
+const FILE_TYPES = {
+    standard: { s: 'M500', e: '.mp3' },
+    higher: { s: 'C600', e: '.m4a' },
+    exhigh: { s: 'M800', e: '.mp3' },
+    lossless: { s: 'F000', e: '.flac' },
+    hires: { s: 'RS01', e: '.flac' },
+}
 
-export const get_song_url = async (id, cookie = '') => {
+/**
+ * 多个 id 或海外环境下返回交由前端解析的 jsonp 描述，此时音质未知
+ * options.credential 可指定账号，默认从账号池选择
+ * @returns {Promise<{ url: string, quality: string | null }>} quality 为实际返回的音质
+ */
+export const get_song_url = async (id, { quality = DEFAULT_QUALITY, credential } = {}, cookie = '') => {
 
     id = id.split(',')
-    let uin = ''
-    let qqmusic_key = ''
-    const typeObj = {
-        s: 'M500',
-        e: '.mp3',
-    }
+    const { id: account, uin, qqmusic_key, cookie: auth_cookie } = get_auth(credential)
 
-    const file = id.map(e => `${typeObj.s}${e}${e}${typeObj.e}`)
+    // 单曲一次请求指定音质及更低音质的文件，取第一个有链接的
+    const qualities = fallback_qualities(quality)
+    const file = qualities.map(q => `${FILE_TYPES[q].s}${id[0]}${id[0]}${FILE_TYPES[q].e}`)
     const guid = (Math.random() * 10000000).toFixed(0);
 
     let purl = '';
@@ -21,7 +35,6 @@ export const get_song_url = async (id, cookie = '') => {
             module: 'vkey.GetVkeyServer',
             method: 'CgiGetVkey',
             param: {
-                // filename: file,
                 guid: guid,
                 songmid: id,
                 songtype: [0],
@@ -59,24 +72,47 @@ export const get_song_url = async (id, cookie = '') => {
         const callback_name = "callback"
         const parse_function = "qq_get_url_from_json"
         const url = changeUrlQuery(params, 'https://u.y.qq.com/cgi-bin/musicu.fcg')
-        return "@" + parse_function + '@' + callback_name + '@' + callback_function_name + '@' + url
+        return { url: "@" + parse_function + '@' + callback_name + '@' + callback_function_name + '@' + url, quality: null }
     }
 
+    data.req_0.param.filename = file
+    data.req_0.param.songmid = file.map(() => id[0])
+    data.req_0.param.songtype = file.map(() => 0)
+    params.data = JSON.stringify(data)
 
     const url = changeUrlQuery(params, 'https://u.y.qq.com/cgi-bin/musicu.fcg')
 
     let result = await fetch(url, {
       headers: {
       'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
-      Cookie:'此处放你从QQ音乐官网获取的ck，下面还有一个也要放',
+      Cookie: auth_cookie,
      },
     });
     
     result = await result.json()
     // console.log(result)
-    if (result.req_0 && result.req_0.data && result.req_0.data.midurlinfo) {
-        purl = result.req_0.data.midurlinfo[0].purl;
+    if (result.code === LOGIN_EXPIRED || result.req_0?.code === LOGIN_EXPIRED) {
+        report_credential('tencent', account, 'throttled')
+    }
+    if (!result.req_0?.data) {
+        throw new UpstreamError(undefined, { code: result.code, subcode: result.req_0?.code })
+    }
+    const midurlinfo = result.req_0.data.midurlinfo || []
+    let served = null
+    for (const [i, filename] of file.entries()) {
+        const info = midurlinfo.find(x => x.filename === filename) || midurlinfo[i]
+        if (info?.purl) {
+            purl = info.purl
+            served = qualities[i]
+            break
+        }
+    }
+    // purl 为空说明无版权或需要会员
+    if (!purl) {
+        report_credential('tencent', account, 'empty')
+        return { url: '', quality: null }
     }
+    report_credential('tencent', account, 'ok')
 
     const domain =
         result.req_0.data.sip.find(i => !i.startsWith('http://ws')) ||
@@ -84,10 +120,18 @@ export const get_song_url = async (id, cookie = '') => {
 
     const res = `${domain}${purl}`.replace('http://', 'https://')
     // console.log(res);
-    return res;
+    return { url: res, quality: served };
 
 }
 
+// 海外环境下歌曲列表的 url 由第一首歌携带的 jsonp 统一获取
+export const attach_jsonp_url = async (songs) => {
+    if (!config.OVERSEAS || !songs.length) return songs
+    const jsonp = (await get_song_url(songs.map(song => song.id).join(','))).url
+    songs.forEach((song, i) => song.url = i === 0 ? jsonp : '')
+    return songs
+}
+
 export const get_song_info = async (id, cookie = '') => {
     const data = {
         data: JSON.stringify({
@@ -105,22 +149,19 @@ export const get_song_info = async (id, cookie = '') => {
     let result = await fetch(url, {
       headers: {
       'User-Agent':'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
-      Cookie:'此处再次放你从QQ音乐官网获取的ck，记得保存',
+      Cookie: get_auth().cookie,
      },
     });
 
     result = await result.json()
 
+    if (!result.songinfo?.data?.track_info) {
+        throw new NotFoundError('歌曲不存在', { code: result.songinfo?.code })
+    }
     result = result.songinfo.data
 
-    let song_info = {
-        author: result.track_info.singer.reduce((i, v) => ((i ? i + " / " : i) + v.name), ''),
-        title: result.track_info.name,
-        pic: `https://y.gtimg.cn/music/photo_new/T002R300x300M000${result.track_info.album.mid}.jpg`,
-        url: config.OVERSEAS ? await get_song_url(id) : id,
-        lrc: id,
-        songmid: id,
-    }
+    const song_info = map_song(result.track_info)
+    if (config.OVERSEAS) song_info.url = (await get_song_url(id)).url
     // console.log(song_info)
     return [song_info]
 }
@@ -1,3 +1,7 @@
+import { make_song, join_artists } from "../../song.js"
+import { pick_credential, to_cookie_header } from "../../service/credentials.js"
+import { UpstreamError } from "../../errors.js"
+
 function getQueryFromUrl(key, search) {
     try {
         const sArr = search.split('?');
@@ -34,4 +38,67 @@ function changeUrlQuery(obj, baseUrl) {
     return `${url}?${queryArr.join('&')}`.replace(/\?$/, '');
 }
 
-export { changeUrlQuery }
\ No newline at end of file
+// 新版 track_info 结构映射为统一歌曲模型，interval 单位为秒
+// 保留 songmid 以兼容原有输出
+function map_song(track) {
+    return {
+        ...make_song({
+            id: track.mid,
+            provider: 'tencent',
+            title: track.name,
+            author: join_artists(track.singer),
+            album: track.album?.name || null,
+            album_id: track.album?.mid || null,
+            duration: track.interval ? track.interval * 1000 : null,
+            published: track.time_public || null,
+            vip: track.pay?.pay_play === 1,
+            link: `https://y.qq.com/n/ryqq/songDetail/${track.mid}`,
+            pic: `https://y.gtimg.cn/music/photo_new/T002R300x300M000${track.album?.mid}.jpg`,
+            url: track.mid,
+            lrc: track.mid,
+        }),
+        songmid: track.mid,
+    }
+}
+
+// 登录态失效时 musicu 返回的 code
+const LOGIN_EXPIRED = 1000
+
+// 从账号池选择一个账号，凭据中的 uin 形如 o0123456，接口参数需要纯数字
+// 返回的 id 用于报告请求结果
+function get_auth(credential = pick_credential('tencent')) {
+    const { id, cookie } = credential
+    return {
+        id,
+        uin: String(cookie.uin || '').replace(/^o0*/, ''),
+        qqmusic_key: cookie.qqmusic_key || cookie.qm_keyst || '',
+        cookie: to_cookie_header(cookie),
+    }
+}
+
+// musicu.fcg 的单个模块请求，返回该请求的 data
+async function musicu(module, method, param) {
+    const body = {
+        comm: {
+            ct: 19,
+            cv: 1859,
+            uin: 0,
+        },
+        req: { module, method, param },
+    }
+    let result = await fetch('https://u.y.qq.com/cgi-bin/musicu.fcg', {
+        method: 'POST',
+        headers: {
+            'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64)',
+            Referer: 'https://y.qq.com',
+        },
+        body: JSON.stringify(body),
+    })
+    result = await result.json()
+    if (result.code !== 0 || result.req?.code !== 0 || !result.req.data) {
+        throw new UpstreamError(undefined, { code: result.code, subcode: result.req?.code })
+    }
+    return result.req.data
+}
+
+export { changeUrlQuery, map_song, get_auth, musicu, LOGIN_EXPIRED }
\ No newline at end of file
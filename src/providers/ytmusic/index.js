@@ -1,12 +1,18 @@
 import { YT_API } from "./config.js"
+import { ProviderMisconfiguredError } from "../../errors.js"
+import { from_external } from "../../song.js"
 const support_type = ['song', 'playlist']
 
-const handle = async (type, id, cookie = '') => {
+const handle = async (type, id, options = {}) => {
     let result
     const query = `?server=ytmusic&type=${type}&id=${id}`
+    if (!YT_API) {
+        throw new ProviderMisconfiguredError('未配置 YT_API')
+    }
     if (support_type.includes(type)) {
         result = await fetch(YT_API + query)
         result = await result.json()
+        if (Array.isArray(result)) result = result.map(song => from_external(song, 'ytmusic'))
     } else {
         result = -1
     }
@@ -0,0 +1,35 @@
+import { InvalidParamError } from "./errors.js"
+
+// 音质从低到高，与网易云 level 取值一致
+export const QUALITIES = ['standard', 'higher', 'exhigh', 'lossless', 'hires']
+
+export const DEFAULT_QUALITY = 'standard'
+
+// br 为码率时按上限归档，如 320000 或 320 => exhigh
+const BITRATES = [
+    [128000, 'standard'],
+    [192000, 'higher'],
+    [320000, 'exhigh'],
+    [999000, 'lossless'],
+]
+
+const from_bitrate = (br) => {
+    const bps = br < 10000 ? br * 1000 : br
+    return BITRATES.find(([max]) => bps <= max)?.[1] || 'hires'
+}
+
+/**
+ * 读取 quality 或 br 参数，均未指定时为 standard
+ * @returns {string}
+ */
+export const parse_quality = ({ quality, br } = {}) => {
+    const value = quality || br
+    if (value === undefined || value === null || value === '') return DEFAULT_QUALITY
+    if (QUALITIES.includes(value)) return value
+    const n = Number(value)
+    if (Number.isInteger(n) && n > 0) return from_bitrate(n)
+    throw new InvalidParamError(`quality 仅支持 ${QUALITIES.join('/')} 或码率`)
+}
+
+// 依次尝试的音质：指定音质及更低的音质
+export const fallback_qualities = (quality) => QUALITIES.slice(0, QUALITIES.indexOf(quality) + 1).reverse()
@@ -0,0 +1,29 @@
+import config from "../config.js"
+
+// 管理接口鉴权：配置 ADMIN_TOKEN 后需携带 Authorization: Bearer <token> 或 ?token=<token>
+export const admin_guard = async (c, next) => {
+    if (!config.ADMIN_TOKEN) return next()
+
+    const header = c.req.header('Authorization') || ''
+    const token = header.replace(/^Bearer\s+/i, '') || c.req.query('token')
+
+    if (token !== config.ADMIN_TOKEN) {
+        return c.json({
+            success: false,
+            message: '未授权的管理请求'
+        }, 401)
+    }
+
+    await next()
+}
+
+// 会改变服务状态的管理接口（扫码登录写入账号、清空缓存）：未配置 ADMIN_TOKEN 时直接拒绝
+export const admin_required = async (c, next) => {
+    if (!config.ADMIN_TOKEN) {
+        return c.json({
+            success: false,
+            message: '未配置 ADMIN_TOKEN，该管理接口已禁用'
+        }, 403)
+    }
+    return admin_guard(c, next)
+}
@@ -1,5 +1,15 @@
 import Providers from "../providers/index.js"
-import { format as lyricFormat, get_url } from "../util.js"
+import { get_url } from "../util.js"
+import { render_lyric, lyric_options } from "../lyric/index.js"
+import { render_karaoke, karaoke_options } from "../lyric/karaoke.js"
+import { NotFoundError, RestrictedError, error_body, to_meting_error } from "../errors.js"
+import { resolve, fill_links } from "./resolve.js"
+import { proxy_audio } from "./proxy.js"
+import { fallback_enabled, find_fallback } from "./fallback.js"
+import { check_output, is_feed, render_output } from "../output/index.js"
+import { song_id } from "../output/feed.js"
+import { apply_schema, check_schema } from "../song.js"
+import { feed_dates } from "./feed.js"
 
 export default async (ctx) => {
 
@@ -10,44 +20,116 @@ export default async (ctx) => {
     const type = query.type || 'playlist'
     const id = query.id || '7326220405'
 
-    if (!p.get_provider_list().includes(server) || !p.get(server).support_type.includes(type)) {
-        ctx.status(400)
-        return ctx.json({ status: 400, message: 'server 参数不合法', param: { server, type, id } })
-    }
+    try {
+        // 输出参数在请求上游之前校验，参数不合法时不产生上游请求与缓存
+        if (query.output) {
+            check_output(query.output, type)
+        }
+        check_schema(query.schema)
+        const lyric = type === 'lrc' ? lyric_options(query) : type === 'klrc' ? karaoke_options(query) : null
 
-    let data = await p.get(server).handle(type, id)
+        const { data, cache, shared, folded, total, hasMore, providers, failed, album } = await resolve(p, { ...query, server, type, id })
+        ctx.header('X-Cache', cache)
+        ctx.header('X-Inflight', shared ? 'shared' : 'leader')
+        ctx.header('X-Inflight-Folded', String(folded))
+        if (total !== undefined) {
+            ctx.header('X-Total-Count', String(total))
+            ctx.header('X-Has-More', String(hasMore))
+        }
+        if (providers) {
+            ctx.header('X-Search-Providers', providers.join(','))
+            ctx.header('X-Search-Failed', failed.map(x => `${x.provider}:${x.code}`).join(','))
+        }
 
-    if (type === 'url') {
-        let url = data
+        if (type === 'url') {
+            let { url, quality, outer } = data
+            const headers = {}
 
-        if (!url) {
-            ctx.status(403)
-            return ctx.json({ error: 'no url' })
-        }
-        if (url.startsWith('@'))
-            return ctx.text(url)
+            // 无链接或只有常常 404 的外链时，尝试其他 provider 的同一首歌
+            if ((!url || outer) && fallback_enabled(query.fallback)) {
+                const fallback = await find_fallback(p, { server, id, quality: query.quality || query.br })
+                if (fallback) {
+                    ({ url, quality } = fallback)
+                    headers['X-Fallback-Provider'] = fallback.provider
+                    headers['X-Fallback-Score'] = fallback.score.toFixed(2)
+                }
+            }
 
-        return ctx.redirect(url)
-    }
+            if (!url) {
+                throw new RestrictedError('no url')
+            }
+            if (quality) {
+                headers['X-Quality'] = quality
+            }
+            if (query.proxy === '1') {
+                // 转发时直接返回 Response，需单独带上这些响应头
+                const response = await proxy_audio(ctx, url)
+                for (const [name, value] of Object.entries(headers)) response.headers.set(name, value)
+                return response
+            }
+            for (const [name, value] of Object.entries(headers)) ctx.header(name, value)
+            if (url.startsWith('@'))
+                return ctx.text(url)
 
-    if (type === 'pic') {
-        return ctx.redirect(data)
-    }
+            return ctx.redirect(url)
+        }
 
-    if (type === 'lrc') {
-        return ctx.text(lyricFormat(data.lyric, data.tlyric || ''))
-    }
+        if (type === 'pic') {
+            if (!data) {
+                throw new NotFoundError('no pic')
+            }
+            return ctx.redirect(data)
+        }
 
+        if (type === 'lrc') {
+            const { body, content_type, unmatched } = render_lyric(data, lyric)
+            ctx.header('X-Lyric-Unmatched', String(unmatched.length))
+            if (typeof body !== 'string')
+                return ctx.json(body)
+            return ctx.body(body, 200, { 'Content-Type': content_type })
+        }
+
+        if (type === 'klrc') {
+            const { body, content_type } = render_karaoke(data, lyric)
+            if (typeof body !== 'string')
+                return ctx.json(body)
+            return ctx.body(body, 200, { 'Content-Type': content_type })
+        }
 
-    // json 类型数据填充api
-    return ctx.json(data.map(x => {
-        for (let i of ['url', 'pic', 'lrc']) {
-            const _ = String(x[i])
-            // 正常对象_均为id，以下例外不用填充：1.@开头/size为0=>qq音乐jsonp 2.已存在完整链接
-            if (!_.startsWith('@') && !_.startsWith('http') && _.length > 0) {
-                x[i] = `${get_url(ctx)}?server=${server}&type=${i}&id=${_}`
+        // 导出给外部播放器时 url 默认经由本服务转发，proxy=0 可关闭
+        if (query.output) {
+            const songs = fill_links(get_url(ctx), server, data, { proxy: query.proxy !== '0', quality: query.quality || query.br })
+            const ids = data.map(song_id)
+            const { body, content_type, content_disposition } = render_output(songs, {
+                format: query.output,
+                type,
+                server,
+                id,
+                link: ctx.req.url,
+                ids,
+                dates: is_feed(query.output) ? await feed_dates(data, { server, ids }) : undefined,
+                album,
+            })
+            if (content_disposition) {
+                ctx.header('Content-Disposition', content_disposition)
             }
+            return ctx.body(body, 200, { 'Content-Type': content_type })
         }
-        return x
-    }))
+
+        const songs = apply_schema(fill_links(get_url(ctx), server, data, { proxy: query.proxy === '1', quality: query.quality || query.br }), query.schema, { server })
+        // schema=full 时一并返回专辑信息，默认的 APlayer 格式保持为数组
+        if (album && query.schema === 'full') {
+            return ctx.json({ album, songs })
+        }
+        return ctx.json(songs)
+    } catch (e) {
+        const error = to_meting_error(e)
+        if (error.status >= 500) {
+            console.error(`❌ ${server}/${type}/${id}:`, e)
+        }
+        if (error.code === 'UPSTREAM_THROTTLED') {
+            ctx.header('Retry-After', '5')
+        }
+        return ctx.json(error_body(error, { server, type, id }), error.status)
+    }
 }
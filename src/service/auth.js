@@ -0,0 +1,28 @@
+import crypto from 'crypto-browserify'
+import config from "../config.js"
+
+// 与 Meting PHP API 一致，仅 url/pic/lrc 这类资源请求需要签名，逐字歌词 klrc 同 lrc
+export const AUTH_TYPES = ['url', 'pic', 'lrc', 'klrc']
+
+// auth = HMAC-SHA1(server + type + id, AUTH_SECRET)
+export const sign = (server, type, id, secret = config.AUTH_SECRET) => {
+    return crypto.createHmac('sha1', secret).update(`${server}${type}${id}`).digest('hex')
+}
+
+// 逐字符比较，避免提前返回泄露签名前缀
+const safe_equal = (a, b) => {
+    if (a.length !== b.length) return false
+    let diff = 0
+    for (let i = 0; i < a.length; i++) {
+        diff |= a.charCodeAt(i) ^ b.charCodeAt(i)
+    }
+    return diff === 0
+}
+
+export const need_auth = (type) => Boolean(config.AUTH_SECRET) && AUTH_TYPES.includes(type)
+
+export const verify = (server, type, id, auth) => {
+    if (!need_auth(type)) return true
+    if (!auth) return false
+    return safe_equal(String(auth).toLowerCase(), sign(server, type, id))
+}
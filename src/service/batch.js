@@ -0,0 +1,90 @@
+import Providers from "../providers/index.js"
+import config from "../config.js"
+import { get_url, map_limit } from "../util.js"
+import { render_lyric, lyric_options } from "../lyric/index.js"
+import { render_karaoke, karaoke_options } from "../lyric/karaoke.js"
+import { InvalidParamError, NotFoundError, RestrictedError, error_body, to_meting_error } from "../errors.js"
+import { resolve, fill_links } from "./resolve.js"
+import { apply_schema, check_schema } from "../song.js"
+
+// 与 /api 输出一致，但 url/pic 直接返回链接而非重定向
+// lyric 为请求上游之前已校验的歌词输出选项
+const present = (base, server, type, data, item, lyric) => {
+    if (type === 'url') {
+        if (!data.url) throw new RestrictedError('no url')
+        return data.url
+    }
+    if (type === 'pic') {
+        if (!data) throw new NotFoundError('no pic')
+        return data
+    }
+    if (type === 'lrc') {
+        return render_lyric(data, lyric).body
+    }
+    if (type === 'klrc') {
+        return render_karaoke(data, lyric).body
+    }
+    return apply_schema(fill_links(base, server, data, { proxy: [1, '1', true].includes(item?.proxy), quality: item?.quality || item?.br }), item?.schema, { server })
+}
+
+/**
+ * POST /api/batch
+ * 请求体为 [{ server, type, id, auth?, limit?, offset?, page?, lrcformat?, lrcmode?, lrcroma?, lrcoffset?, schema?, quality? }] 或 { items: [...] }，按原顺序返回每一项的结果或错误
+ */
+export default async (ctx) => {
+    let body
+    try {
+        body = await ctx.req.json()
+    } catch (e) {
+        const error = new InvalidParamError('请求体不是合法的 JSON')
+        return ctx.json(error_body(error), error.status)
+    }
+
+    const items = Array.isArray(body) ? body : body?.items
+    if (!Array.isArray(items) || items.length === 0) {
+        const error = new InvalidParamError('请求体应为非空数组')
+        return ctx.json(error_body(error), error.status)
+    }
+    if (items.length > config.BATCH_MAX_ITEMS) {
+        const error = new InvalidParamError(`单次最多 ${config.BATCH_MAX_ITEMS} 项`)
+        return ctx.json(error_body(error), error.status)
+    }
+
+    const p = new Providers()
+    const base = get_url(ctx).replace(/\/batch$/, '')
+
+    const results = await map_limit(items, config.BATCH_CONCURRENCY, async (item) => {
+        const server = String(item?.server || 'tencent')
+        const type = String(item?.type || 'playlist')
+        const id = String(item?.id || '')
+        try {
+            // 歌词与 schema 参数在请求上游之前校验
+            check_schema(item?.schema)
+            const lyric = type === 'lrc' ? lyric_options(item ?? {}) : type === 'klrc' ? karaoke_options(item ?? {}) : null
+            const { data, cache, total, hasMore, failed, album } = await resolve(p, { ...item, server, type, id })
+            return {
+                status: 200,
+                cache,
+                ...(total !== undefined && { total, hasMore }),
+                ...(failed && { failed }),
+                ...(album && { album }),
+                ...(type === 'url' && data.quality && { quality: data.quality }),
+                data: present(base, server, type, data, item, lyric),
+                param: { server, type, id },
+            }
+        } catch (e) {
+            const error = to_meting_error(e)
+            if (error.status >= 500) {
+                console.error(`❌ ${server}/${type}/${id}:`, e)
+            }
+            return error_body(error, { server, type, id })
+        }
+    })
+
+    return ctx.json({
+        status: 200,
+        total: results.length,
+        failed: results.filter(result => result.status !== 200).length,
+        results,
+    })
+}
@@ -0,0 +1,310 @@
+import fs from 'fs/promises'
+import path from 'path'
+import config from '../config.js'
+
+const is_empty = (value) => value === undefined || value === null || value === '' || value === -1 || value?.url === ''
+
+// 分页以 #offset,limit、音质以 #quality 区分同一资源的不同结果
+export const cache_key = (server, type, id, page, quality) => {
+    const key = `${server}:${type}:${id}`
+    if (page) return `${key}#${page.offset},${page.limit}`
+    return quality ? `${key}#${quality}` : key
+}
+
+export const get_ttl = (type) => config.CACHE_TTL[type] ?? config.CACHE_TTL.default
+
+// 缓存条目统一为 { key, value, expires, created }，value 为 JSON 字符串，避免调用方修改缓存对象
+const entry_info = (entry) => ({
+    key: entry.key,
+    size: entry.value.length,
+    created: new Date(entry.created).toISOString(),
+    expires: new Date(entry.expires).toISOString(),
+})
+
+export const create_memory_backend = (max_entries = config.CACHE_MAX_ENTRIES) => {
+    const store = new Map()
+    return {
+        name: 'memory',
+        get: async (key) => {
+            const entry = store.get(key)
+            if (!entry) return null
+            // Map 按插入顺序迭代，重新插入即移到队尾，淘汰时删除队首
+            store.delete(key)
+            store.set(key, entry)
+            return entry
+        },
+        set: async (key, entry) => {
+            store.delete(key)
+            store.set(key, entry)
+            while (store.size > max_entries) {
+                store.delete(store.keys().next().value)
+            }
+        },
+        delete: async (key) => {
+            store.delete(key)
+        },
+        entries: async () => [...store.values()].map(entry_info),
+        prune: async (now = Date.now()) => {
+            let pruned = 0
+            for (const [key, entry] of store) {
+                if (entry.expires > now) continue
+                store.delete(key)
+                pruned++
+            }
+            return pruned
+        },
+        clear: async () => {
+            store.clear()
+        },
+    }
+}
+
+export const create_file_backend = (dir = config.CACHE_DIR) => {
+    const file_of = (key) => path.join(dir, key.replace(/[^\w.-]/g, '_') + '.json')
+
+    const read = async (file) => {
+        try {
+            return JSON.parse(await fs.readFile(file, 'utf8'))
+        } catch (error) {
+            return null
+        }
+    }
+
+    const list = async () => {
+        try {
+            const files = await fs.readdir(dir)
+            return files.filter(file => file.endsWith('.json')).map(file => path.join(dir, file))
+        } catch (error) {
+            return []
+        }
+    }
+
+    return {
+        name: 'file',
+        get: async (key) => {
+            const file = file_of(key)
+            const entry = await read(file)
+            // 过期文件读到时即删除，避免缓存目录无限增长
+            if (entry && entry.expires <= Date.now()) {
+                await fs.rm(file, { force: true })
+                return null
+            }
+            // 文件名经过替换可能冲突，以条目内记录的 key 为准
+            return entry && entry.key === key ? entry : null
+        },
+        set: async (key, entry) => {
+            await fs.mkdir(dir, { recursive: true })
+            await fs.writeFile(file_of(key), JSON.stringify(entry), 'utf8')
+        },
+        delete: async (key) => {
+            await fs.rm(file_of(key), { force: true })
+        },
+        entries: async () => {
+            const entries = await Promise.all((await list()).map(read))
+            return entries.filter(Boolean).map(entry_info)
+        },
+        // 删除所有过期或无法解析的文件
+        prune: async (now = Date.now()) => {
+            let pruned = 0
+            for (const file of await list()) {
+                const entry = await read(file)
+                if (entry && entry.expires > now) continue
+                await fs.rm(file, { force: true })
+                pruned++
+            }
+            return pruned
+        },
+        clear: async () => {
+            await Promise.all((await list()).map(file => fs.rm(file, { force: true })))
+        },
+    }
+}
+
+export const create_mysql_backend = (pool) => {
+    let ready = null
+    const init = () => {
+        ready = ready || pool.execute(`
+            CREATE TABLE IF NOT EXISTS api_cache (
+                cache_key VARCHAR(255) PRIMARY KEY,
+                cache_value MEDIUMTEXT NOT NULL,
+                expires_at BIGINT NOT NULL,
+                created_at BIGINT NOT NULL,
+                INDEX idx_expires_at (expires_at)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `)
+        return ready
+    }
+
+    return {
+        name: 'mysql',
+        get: async (key) => {
+            await init()
+            const [rows] = await pool.execute(
+                'SELECT cache_value, expires_at, created_at FROM api_cache WHERE cache_key = ?',
+                [key]
+            )
+            if (!rows[0]) return null
+            return {
+                key,
+                value: rows[0].cache_value,
+                expires: Number(rows[0].expires_at),
+                created: Number(rows[0].created_at),
+            }
+        },
+        set: async (key, entry) => {
+            await init()
+            await pool.execute(
+                `INSERT INTO api_cache (cache_key, cache_value, expires_at, created_at)
+                 VALUES (?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE cache_value = ?, expires_at = ?, created_at = ?`,
+                [key, entry.value, entry.expires, entry.created, entry.value, entry.expires, entry.created]
+            )
+        },
+        delete: async (key) => {
+            await init()
+            await pool.execute('DELETE FROM api_cache WHERE cache_key = ?', [key])
+        },
+        entries: async () => {
+            await init()
+            const [rows] = await pool.execute(
+                'SELECT cache_key, LENGTH(cache_value) AS size, expires_at, created_at FROM api_cache ORDER BY created_at DESC'
+            )
+            return rows.map(row => ({
+                key: row.cache_key,
+                size: Number(row.size),
+                created: new Date(Number(row.created_at)).toISOString(),
+                expires: new Date(Number(row.expires_at)).toISOString(),
+            }))
+        },
+        prune: async (now = Date.now()) => {
+            await init()
+            const [result] = await pool.execute('DELETE FROM api_cache WHERE expires_at <= ?', [now])
+            return result.affectedRows
+        },
+        clear: async () => {
+            await init()
+            await pool.execute('DELETE FROM api_cache')
+        },
+    }
+}
+
+const create_backend = (name) => {
+    switch (name) {
+        case 'none':
+            return null
+        case 'file':
+            return create_file_backend()
+        default:
+            // mysql 需等待连接池就绪后由 app.js 调用 use_backend 切换
+            return create_memory_backend()
+    }
+}
+
+let backend = create_backend(config.CACHE)
+
+const stats = {
+    hits: 0,
+    misses: 0,
+}
+
+export const use_backend = (next) => {
+    backend = next
+}
+
+export const get_backend = () => backend
+
+/**
+ * 读取缓存，未命中时调用 loader 并写入缓存
+ * @returns {Promise<{ value: any, status: 'HIT' | 'MISS' | 'BYPASS' }>}
+ */
+export const cached = async (key, ttl, loader) => {
+    if (!backend || !(ttl > 0)) {
+        return { value: await loader(), status: 'BYPASS' }
+    }
+
+    let entry = null
+    try {
+        entry = await backend.get(key)
+    } catch (error) {
+        console.error('❌ 读取缓存失败:', error)
+    }
+
+    if (entry && entry.expires > Date.now()) {
+        stats.hits++
+        return { value: JSON.parse(entry.value), status: 'HIT' }
+    }
+
+    stats.misses++
+    const value = await loader()
+
+    // 空结果（如无版权的空 url）不缓存，下次请求重新获取
+    if (!is_empty(value)) {
+        const now = Date.now()
+        try {
+            await backend.set(key, { key, value: JSON.stringify(value), expires: now + ttl * 1000, created: now })
+        } catch (error) {
+            console.error('❌ 写入缓存失败:', error)
+        }
+    }
+
+    return { value, status: 'MISS' }
+}
+
+const match_key = (key, { server, type, id }) => {
+    const [s, t, ...rest] = key.split('#')[0].split(':')
+    return (!server || s === server) && (!type || t === type) && (!id || rest.join(':') === id)
+}
+
+export const cache_endpoints = {
+    inspect: async (c) => {
+        if (!backend) {
+            return c.json({ success: true, data: { backend: 'none', ...stats, entries: [] } })
+        }
+        try {
+            const now = new Date().toISOString()
+            const entries = (await backend.entries()).filter(entry => match_key(entry.key, c.req.query()))
+            return c.json({
+                success: true,
+                data: {
+                    backend: backend.name,
+                    ...stats,
+                    ttl: config.CACHE_TTL,
+                    total: entries.length,
+                    expired: entries.filter(entry => entry.expires <= now).length,
+                    entries,
+                }
+            })
+        } catch (error) {
+            return c.json({
+                success: false,
+                message: '获取缓存信息失败: ' + error.message
+            }, 500)
+        }
+    },
+
+    purge: async (c) => {
+        if (!backend) {
+            return c.json({ success: true, message: '缓存未启用', purged: 0 })
+        }
+        try {
+            const filter = c.req.query()
+            let purged, expired = 0
+            if (!filter.server && !filter.type && !filter.id) {
+                purged = (await backend.entries()).length
+                await backend.clear()
+            } else {
+                // 按条件清除时顺带清理所有过期条目，expired 为清理的数量
+                expired = await backend.prune()
+                const keys = (await backend.entries()).map(entry => entry.key).filter(key => match_key(key, filter))
+                await Promise.all(keys.map(key => backend.delete(key)))
+                purged = keys.length
+            }
+            return c.json({ success: true, message: '缓存已清除', purged, expired })
+        } catch (error) {
+            return c.json({
+                success: false,
+                message: '清除缓存失败: ' + error.message
+            }, 500)
+        }
+    },
+}
@@ -0,0 +1,368 @@
+import fs from 'fs/promises'
+import config from '../config.js'
+
+// 各 provider 的登录凭据（cookie），按 环境变量 → 配置文件 → MySQL 的顺序加载，各来源的账号合并到同一账号池，同一账号以后加载的为准
+// provider 每次请求时读取，替换后立即生效；通过 save_credential 保存的凭据会持久化，重启后仍然有效
+// 每个 provider 可配置多个账号组成账号池，按 CREDENTIAL_ROTATION 轮流使用，触发风控的账号暂时冷却
+
+// 各 provider 必需的 cookie 字段，任一组满足即可
+const REQUIRED_KEYS = {
+    netease: [['MUSIC_U']],
+    tencent: [['uin', 'qqmusic_key'], ['uin', 'qm_keyst']],
+}
+
+export const CREDENTIAL_PROVIDERS = Object.keys(REQUIRED_KEYS)
+
+// provider => 账号池，每个账号带有使用计数与冷却时间
+const store = {}
+
+// 轮询选择时下一个账号的位置
+const cursor = {}
+
+// 递增的使用序号，同一毫秒内多次使用时也能区分先后
+let sequence = 0
+
+// 加载过数据库凭据后持久化到数据库，否则写入凭据文件
+let mysql_pool = null
+
+/**
+ * 解析 "a=1; b=2" 形式的 cookie，也接受 { a: '1' } 对象
+ * @returns {Record<string, string>}
+ */
+export const parse_cookie = (cookie) => {
+    if (cookie && typeof cookie === 'object') {
+        return Object.fromEntries(Object.entries(cookie).map(([key, value]) => [key, String(value)]))
+    }
+    const result = {}
+    for (const part of String(cookie || '').split(';')) {
+        const [key, ...rest] = part.trim().split('=')
+        // 值中可能包含等号
+        if (key) result[key.trim()] = rest.join('=').trim()
+    }
+    return result
+}
+
+/**
+ * 多个账号：字符串中每行一个 cookie，配置文件中也可写成数组
+ * @returns {(string | object)[]}
+ */
+export const split_cookies = (value) => {
+    if (Array.isArray(value)) return value
+    if (typeof value === 'string') return value.split(/\r?\n/).map(line => line.trim()).filter(Boolean)
+    return value ? [value] : []
+}
+
+/**
+ * @returns {string[]} 问题列表，为空表示有效
+ */
+export const validate_cookie = (provider, cookie) => {
+    const groups = REQUIRED_KEYS[provider]
+    if (!groups) return [`不支持的 provider: ${provider}`]
+    if (groups.some(keys => keys.every(key => cookie[key]))) return []
+    return [`缺少 ${groups.map(keys => keys.join('+')).join(' 或 ')}`]
+}
+
+// 同一账号的标识：网易云为 MUSIC_U，QQ 音乐为 uin
+const identity = (provider, cookie) => cookie[REQUIRED_KEYS[provider][0][0]]
+
+const make_account = (id, cookie, source) => ({
+    id,
+    cookie,
+    source,
+    updated: Date.now(),
+    uses: 0,
+    throttled: 0,
+    empty: 0,
+    cooldowns: 0,
+    consecutive_empty: 0,
+    last_used: 0,
+    used_sequence: 0,
+    cooldown_until: 0,
+})
+
+// 逐个校验，多个账号时带上序号便于定位
+const parse_accounts = (provider, cookies) => {
+    const list = split_cookies(cookies)
+    const problems = []
+    const accounts = []
+    for (const [index, cookie] of list.entries()) {
+        const parsed = parse_cookie(cookie)
+        const invalid = validate_cookie(provider, parsed)
+        if (!invalid.length) accounts.push(parsed)
+        else problems.push(...invalid.map(problem => list.length > 1 ? `第 ${index + 1} 个账号${problem}` : problem))
+    }
+    if (!list.length) problems.push('未提供 cookie')
+    return { accounts, problems }
+}
+
+/**
+ * 校验并替换 provider 的账号池，无效的账号不会生效，全部无效时保留原有账号
+ * @param {string | object | (string | object)[]} cookies 多个账号见 split_cookies
+ * @returns {string[]} 问题列表
+ */
+export const set_credential = (provider, cookies, source) => {
+    const { accounts, problems } = parse_accounts(provider, cookies)
+    if (problems.length) {
+        console.warn(`⚠️ ${provider} 凭据（${source}）无效: ${problems.join('，')}`)
+    }
+    if (!accounts.length) return problems
+    store[provider] = accounts.map((cookie, index) => make_account(`${source}-${index + 1}`, cookie, source))
+    cursor[provider] = 0
+    console.log(`🔑 已加载 ${provider} 凭据（${source}）${accounts.length > 1 ? `，共 ${accounts.length} 个账号` : ''}`)
+    return problems
+}
+
+// 追加一个账号，已有同一账号时替换其 cookie 并解除冷却
+const add_account = (provider, cookie, source) => {
+    const pool = store[provider] || (store[provider] = [])
+    const existing = pool.find(account => identity(provider, account.cookie) === identity(provider, cookie))
+    if (existing) {
+        Object.assign(existing, { cookie, source, updated: Date.now(), cooldown_until: 0, consecutive_empty: 0 })
+        return existing
+    }
+    const count = pool.filter(account => account.source === source).length
+    const account = make_account(`${source}-${count + 1}`, cookie, source)
+    pool.push(account)
+    return account
+}
+
+/**
+ * 校验并把账号合并到 provider 的账号池，用于配置文件与数据库：
+ * 这两处只保存运行时加入的账号，替换账号池会丢掉环境变量中的账号
+ * @returns {string[]} 问题列表
+ */
+export const merge_credential = (provider, cookies, source) => {
+    const { accounts, problems } = parse_accounts(provider, cookies)
+    if (problems.length) {
+        console.warn(`⚠️ ${provider} 凭据（${source}）无效: ${problems.join('，')}`)
+    }
+    for (const cookie of accounts) {
+        add_account(provider, cookie, source)
+    }
+    if (accounts.length) {
+        console.log(`🔑 已加入 ${provider} 凭据（${source}）${accounts.length > 1 ? `，共 ${accounts.length} 个账号` : ''}`)
+    }
+    return problems
+}
+
+export const clear_credential = (provider) => {
+    delete store[provider]
+    delete cursor[provider]
+}
+
+// 所有账号都在冷却时，使用最早结束冷却的账号
+const select = (provider, pool) => {
+    const now = Date.now()
+    const available = pool.filter(account => account.cooldown_until <= now)
+    if (!available.length) {
+        return pool.reduce((a, b) => b.cooldown_until < a.cooldown_until ? b : a)
+    }
+    if (config.CREDENTIAL_ROTATION === 'lru') {
+        return available.reduce((a, b) => b.used_sequence < a.used_sequence ? b : a)
+    }
+    const start = cursor[provider] || 0
+    for (let i = 0; i < pool.length; i++) {
+        const index = (start + i) % pool.length
+        if (pool[index].cooldown_until <= now) {
+            cursor[provider] = index + 1
+            return pool[index]
+        }
+    }
+}
+
+/**
+ * provider 请求使用：选择一个账号并计数，指定 id 时使用该账号
+ * 未配置时 id 为 null、cookie 为空对象
+ * @returns {{ id: string | null, cookie: Record<string, string> }}
+ */
+export const pick_credential = (provider, id) => {
+    const pool = store[provider] || []
+    const account = id ? pool.find(x => x.id === id) : pool.length ? select(provider, pool) : null
+    if (!account) return { id: null, cookie: {} }
+    account.uses++
+    account.last_used = Date.now()
+    account.used_sequence = ++sequence
+    return { id: account.id, cookie: { ...account.cookie } }
+}
+
+const cool_down = (provider, account, reason) => {
+    account.cooldowns++
+    account.cooldown_until = Date.now() + config.CREDENTIAL_COOLDOWN * 1000
+    console.warn(`⚠️ ${provider} 账号 ${account.id} ${reason}，冷却 ${config.CREDENTIAL_COOLDOWN} 秒`)
+}
+
+/**
+ * provider 请求完成后报告结果
+ * throttled: 触发风控或登录失效，立即冷却  empty: 未取到播放链接，连续 CREDENTIAL_EMPTY_LIMIT 次后冷却  ok: 正常
+ */
+export const report_credential = (provider, id, outcome) => {
+    const account = store[provider]?.find(x => x.id === id)
+    if (!account) return
+    if (outcome === 'ok') {
+        account.consecutive_empty = 0
+    } else if (outcome === 'throttled') {
+        account.throttled++
+        cool_down(provider, account, '触发风控')
+    } else if (outcome === 'empty') {
+        account.empty++
+        account.consecutive_empty++
+        // 单首歌无版权也会取不到链接，连续多次才认为是账号的问题
+        if (account.consecutive_empty >= config.CREDENTIAL_EMPTY_LIMIT) {
+            account.consecutive_empty = 0
+            cool_down(provider, account, `连续 ${config.CREDENTIAL_EMPTY_LIMIT} 次未取到播放链接`)
+        }
+    }
+}
+
+// 账号池中所有账号的 id
+export const credential_ids = (provider) => (store[provider] || []).map(account => account.id)
+
+// 选择一个账号的 cookie，不需要报告结果时使用
+export const get_cookie = (provider) => pick_credential(provider).cookie
+
+export const to_cookie_header = (cookie) => Object.entries(cookie)
+    .map(([key, value]) => `${key}=${value}`)
+    .join('; ')
+
+// 选择一个账号的 Cookie 请求头，未配置时为空字符串
+export const cookie_header = (provider) => to_cookie_header(get_cookie(provider))
+
+export const load_from_env = () => {
+    if (config.NETEASE_COOKIE) set_credential('netease', config.NETEASE_COOKIE, 'env')
+    if (config.TENCENT_COOKIE) set_credential('tencent', config.TENCENT_COOKIE, 'env')
+}
+
+// 配置文件格式：{ "netease": "MUSIC_U=...", "tencent": { "uin": "...", "qqmusic_key": "..." } }
+// 多个账号写成数组：{ "netease": ["MUSIC_U=...", "MUSIC_U=..."] }
+export const load_from_file = async (file = config.CREDENTIALS_FILE) => {
+    let content
+    try {
+        content = await fs.readFile(file, 'utf8')
+    } catch (error) {
+        // 文件不存在时视为未配置
+        if (error.code !== 'ENOENT') console.error('❌ 读取凭据文件失败:', error.message)
+        return
+    }
+    try {
+        const credentials = JSON.parse(content)
+        for (const provider of CREDENTIAL_PROVIDERS) {
+            if (credentials[provider]) merge_credential(provider, credentials[provider], 'file')
+        }
+    } catch (error) {
+        console.error('❌ 凭据文件不是合法的 JSON:', error.message)
+    }
+}
+
+export const load_from_mysql = async (pool) => {
+    try {
+        await pool.execute(`
+            CREATE TABLE IF NOT EXISTS api_credentials (
+                provider VARCHAR(32) PRIMARY KEY,
+                cookie TEXT NOT NULL,
+                updated_at BIGINT NOT NULL
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci
+        `)
+        mysql_pool = pool
+        const [rows] = await pool.execute('SELECT provider, cookie FROM api_credentials')
+        for (const row of rows) {
+            merge_credential(row.provider, row.cookie, 'mysql')
+        }
+    } catch (error) {
+        console.error('❌ 从数据库加载凭据失败:', error.message)
+    }
+}
+
+// 环境变量中的账号不写入文件或数据库，数据库中多个账号以换行分隔
+const persist = async (provider) => {
+    const cookies = (store[provider] || [])
+        .filter(account => account.source !== 'env')
+        .map(account => to_cookie_header(account.cookie))
+    if (mysql_pool) {
+        await mysql_pool.execute(
+            `INSERT INTO api_credentials (provider, cookie, updated_at) VALUES (?, ?, ?)
+             ON DUPLICATE KEY UPDATE cookie = VALUES(cookie), updated_at = VALUES(updated_at)`,
+            [provider, cookies.join('\n'), Date.now()]
+        )
+        return 'mysql'
+    }
+    let credentials = {}
+    try {
+        credentials = JSON.parse(await fs.readFile(config.CREDENTIALS_FILE, 'utf8'))
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error
+    }
+    credentials[provider] = cookies.length > 1 ? cookies : cookies[0]
+    await fs.writeFile(config.CREDENTIALS_FILE, JSON.stringify(credentials, null, 2), 'utf8')
+    return 'file'
+}
+
+/**
+ * 将账号加入账号池并持久化，用于扫码登录等运行时获取的凭据
+ * 已有同一账号时替换其 cookie；持久化失败时账号仍在本次运行中生效
+ * @returns {Promise<string[]>} 问题列表
+ */
+export const save_credential = async (provider, cookie, source) => {
+    const parsed = parse_cookie(cookie)
+    const problems = validate_cookie(provider, parsed)
+    if (problems.length) {
+        console.warn(`⚠️ ${provider} 凭据（${source}）无效: ${problems.join('，')}`)
+        return problems
+    }
+    const account = add_account(provider, parsed, source)
+    console.log(`🔑 已加入 ${provider} 账号 ${account.id}（${source}）`)
+    try {
+        const target = await persist(provider)
+        console.log(`💾 ${provider} 凭据已保存到${target === 'mysql' ? '数据库' : '凭据文件'}`)
+    } catch (error) {
+        console.error(`❌ 保存 ${provider} 凭据失败:`, error.message)
+    }
+    return []
+}
+
+// 只显示首尾各 4 个字符
+const redact = (value) => value.length > 12 ? `${value.slice(0, 4)}…${value.slice(-4)}` : '***'
+
+const to_time = (timestamp) => timestamp ? new Date(timestamp).toISOString() : null
+
+// 各账号的使用计数，cooling 表示正在冷却
+const account_usage = (account) => ({
+    id: account.id,
+    source: account.source,
+    uses: account.uses,
+    throttled: account.throttled,
+    empty: account.empty,
+    cooldowns: account.cooldowns,
+    last_used: to_time(account.last_used),
+    cooling: account.cooldown_until > Date.now(),
+    cooldown_until: account.cooldown_until > Date.now() ? to_time(account.cooldown_until) : null,
+})
+
+/**
+ * 各 provider 账号池的使用情况，供统计接口展示
+ */
+export const credential_usage = () => Object.fromEntries(CREDENTIAL_PROVIDERS.map(provider => [
+    provider,
+    (store[provider] || []).map(account_usage),
+]))
+
+/**
+ * 脱敏后的凭据信息，供管理接口展示
+ */
+export const credential_summary = () => CREDENTIAL_PROVIDERS.map(provider => {
+    const pool = store[provider] || []
+    if (!pool.length) return { provider, configured: false }
+    return {
+        provider,
+        configured: true,
+        rotation: config.CREDENTIAL_ROTATION,
+        accounts: pool.map(account => ({
+            ...account_usage(account),
+            updated: to_time(account.updated),
+            cookie: Object.fromEntries(Object.entries(account.cookie).map(([key, value]) => [key, redact(value)])),
+        })),
+    }
+})
+
+export const credential_endpoints = {
+    inspect: (c) => c.json({ success: true, data: credential_summary() }),
+}
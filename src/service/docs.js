@@ -0,0 +1,451 @@
+import fs from 'fs/promises'
+import Providers from "../providers/index.js"
+import example from "../example.js"
+import config from "../config.js"
+import { LYRIC_FORMATS, LYRIC_MODES } from "../lyric/index.js"
+import { KARAOKE_FORMATS } from "../lyric/karaoke.js"
+import { OUTPUT_FORMATS } from "../output/index.js"
+import { get_url } from "../util.js"
+import { AUTH_TYPES, need_auth, sign } from "./auth.js"
+import { PAGED_TYPES } from "./resolve.js"
+import { SONG_SCHEMAS } from "../song.js"
+import { QUALITIES } from "../quality.js"
+
+// OpenAPI 文档由 Providers 注册表在运行时生成，新增 provider 或类型无需手动维护
+
+const TYPE_DESCRIPTIONS = {
+    playlist: '歌单，返回歌曲列表',
+    song: '单曲，返回只含一首歌的列表',
+    artist: '歌手热门歌曲，返回歌曲列表',
+    search: 'id 为关键词，返回歌曲列表',
+    album: '专辑，返回歌曲列表；平台提供专辑信息时，schema=full 返回 { album, songs }，批量接口的结果带有 album',
+    url: '302 跳转到音频地址，proxy=1 时由本服务转发',
+    pic: '302 跳转到封面地址',
+    lrc: '歌词，格式由 lrcformat 决定',
+    klrc: '逐字歌词，lrcformat 为 json 或 lrc（增强型 LRC）；QQ 音乐的逐字歌词只以加密形式提供，tencent 按行退化（source 为 lrc）',
+}
+
+const error_response = (description) => ({
+    description,
+    content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } },
+})
+
+const schemas = {
+    Song: {
+        type: 'object',
+        description: 'APlayer 格式的歌曲，url/pic/lrc 为本服务的链接',
+        properties: {
+            title: { type: 'string' },
+            author: { type: 'string', description: '多个歌手以 " / " 分隔' },
+            url: { type: 'string' },
+            pic: { type: 'string' },
+            lrc: { type: 'string' },
+            provider: { type: 'string', description: '仅 server=all 的搜索结果带有' },
+        },
+        required: ['title', 'author', 'url', 'pic', 'lrc'],
+    },
+    SongFull: {
+        type: 'object',
+        description: 'schema=full 时返回的统一歌曲模型',
+        properties: {
+            id: { type: 'string' },
+            provider: { type: 'string' },
+            title: { type: 'string' },
+            author: { type: 'string' },
+            album: { type: 'string', nullable: true },
+            album_id: { type: 'string', nullable: true },
+            duration: { type: 'integer', nullable: true, description: '毫秒' },
+            published: { type: 'string', format: 'date', nullable: true, description: '发行日期' },
+            added: { type: 'string', format: 'date-time', nullable: true, description: '加入歌单的时间，目前仅网易云歌单提供' },
+            explicit: { type: 'boolean' },
+            vip: { type: 'boolean', description: '需要会员或付费' },
+            link: { type: 'string', nullable: true, description: '平台上的歌曲页面' },
+            url: { type: 'string' },
+            pic: { type: 'string' },
+            lrc: { type: 'string' },
+        },
+    },
+    Album: {
+        type: 'object',
+        description: 'type=album 时的专辑信息',
+        properties: {
+            id: { type: 'string' },
+            name: { type: 'string' },
+            pic: { type: 'string', nullable: true, description: '封面' },
+            artist: { type: 'string' },
+            published: { type: 'string', format: 'date', nullable: true },
+            company: { type: 'string', nullable: true },
+            description: { type: 'string', nullable: true },
+            size: { type: 'integer', description: '歌曲数量' },
+        },
+    },
+    LyricLine: {
+        type: 'object',
+        properties: {
+            time: { type: 'integer', description: '毫秒' },
+            text: { type: 'string' },
+            translation: { type: 'string', nullable: true },
+            romanization: { type: 'string', nullable: true, description: '仅 lrcroma=1 时带有' },
+        },
+    },
+    KaraokeLyric: {
+        type: 'object',
+        properties: {
+            source: { type: 'string', enum: ['yrc', 'lrc'], description: 'lrc 表示无逐字歌词，按行退化，tencent 总是 lrc' },
+            lines: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    properties: {
+                        start: { type: 'integer' },
+                        duration: { type: 'integer' },
+                        text: { type: 'string' },
+                        translation: { type: 'string', nullable: true },
+                        words: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    start: { type: 'integer' },
+                                    duration: { type: 'integer' },
+                                    text: { type: 'string' },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+    },
+    Error: {
+        type: 'object',
+        properties: {
+            status: { type: 'integer' },
+            code: { type: 'string', example: 'INVALID_PARAM' },
+            message: { type: 'string' },
+            detail: {},
+            param: {
+                type: 'object',
+                properties: {
+                    server: { type: 'string' },
+                    type: { type: 'string' },
+                    id: { type: 'string' },
+                },
+            },
+        },
+        required: ['status', 'code', 'message'],
+    },
+}
+
+// example.js 中各 provider 支持的示例，按 server/type/id 给出
+export const examples = (p) => Object.entries(example)
+    .filter(([server]) => p.get_provider_list().includes(server))
+    .flatMap(([server, types]) => Object.entries(types)
+        .filter(([type]) => p.get(server).support_type.includes(type))
+        .map(([type, { value }]) => ({ server, type, id: value })))
+
+// 各 provider 的请求参数，server 与 type 的合法组合以 server 区分，如 NeteaseRequest
+const request_name = (server) => `${server[0].toUpperCase()}${server.slice(1)}Request`
+
+const request_schemas = (support, parameters) => {
+    const properties = Object.fromEntries(parameters
+        .filter(parameter => !['output'].includes(parameter.name))
+        .map(parameter => [parameter.name, parameter.schema]))
+    const servers = { ...support, all: ['search'] }
+    const variants = Object.fromEntries(Object.entries(servers).map(([server, types]) => [request_name(server), {
+        type: 'object',
+        description: server === 'all' ? '聚合搜索所有 provider' : `${server} 支持的 type`,
+        properties: {
+            ...properties,
+            server: { type: 'string', enum: [server] },
+            type: { type: 'string', enum: types },
+        },
+        required: ['server', 'type', 'id'],
+    }]))
+    return {
+        ...variants,
+        ApiRequest: {
+            oneOf: Object.keys(variants).map(name => ({ $ref: `#/components/schemas/${name}` })),
+            discriminator: {
+                propertyName: 'server',
+                mapping: Object.fromEntries(Object.keys(servers).map(server => [server, `#/components/schemas/${request_name(server)}`])),
+            },
+        },
+    }
+}
+
+const example_query = ({ server, type, id }) => {
+    let query = `server=${server}&type=${type}&id=${encodeURIComponent(id)}`
+    if (need_auth(type)) query += `&auth=${sign(server, type, id)}`
+    return query
+}
+
+/**
+ * 生成 OpenAPI 3 文档
+ * @param {Providers} p
+ * @param {{ server_url?: string }} options server_url 为本服务地址，供文档页直接发起请求
+ */
+export const build_openapi = (p, { server_url = '' } = {}) => {
+    const providers = p.get_provider_list()
+    const support = Object.fromEntries(providers.map(name => [name, p.get(name).support_type]))
+    const types = [...new Set(Object.values(support).flat())]
+    const samples = examples(p)
+
+    const parameters = [
+        {
+            name: 'server',
+            in: 'query',
+            description: '音乐平台，server=all 仅用于 type=search',
+            schema: { type: 'string', enum: [...providers, 'all'], default: 'tencent' },
+        },
+        {
+            name: 'type',
+            in: 'query',
+            description: types.map(type => `${type}: ${TYPE_DESCRIPTIONS[type] || ''}`).join('\n')
+                + '\n\n各平台支持的 type：\n'
+                + providers.map(name => `- ${name}: ${support[name].join('/')}（${request_name(name)}）`).join('\n'),
+            schema: { type: 'string', enum: types, default: 'playlist' },
+        },
+        {
+            name: 'id',
+            in: 'query',
+            description: '歌单/歌曲/歌手 id，search 时为关键词',
+            schema: { type: 'string', default: '7326220405' },
+            examples: Object.fromEntries(samples.map(sample => [
+                `${sample.server}-${sample.type}`,
+                { summary: `${sample.server} ${sample.type}`, value: sample.id },
+            ])),
+        },
+        {
+            name: 'auth',
+            in: 'query',
+            description: `配置 AUTH_SECRET 后 ${AUTH_TYPES.join('/')} 需要携带签名，即 HMAC-SHA1(server + type + id)`,
+            schema: { type: 'string' },
+        },
+        {
+            name: 'limit',
+            in: 'query',
+            description: `每页数量，仅 ${PAGED_TYPES.join('/')}，最大 ${config.PAGE_LIMIT_MAX}`,
+            schema: { type: 'integer', minimum: 1, maximum: config.PAGE_LIMIT_MAX },
+        },
+        {
+            name: 'offset',
+            in: 'query',
+            description: '起始位置，与 page 同时指定时优先',
+            schema: { type: 'integer', minimum: 0 },
+        },
+        {
+            name: 'page',
+            in: 'query',
+            description: '页码，从 1 开始',
+            schema: { type: 'integer', minimum: 1 },
+        },
+        {
+            name: 'lrcformat',
+            in: 'query',
+            description: `lrc 支持 ${LYRIC_FORMATS.join('/')}，klrc 支持 ${KARAOKE_FORMATS.join('/')}`,
+            schema: { type: 'string', enum: [...new Set([...LYRIC_FORMATS, ...KARAOKE_FORMATS])] },
+        },
+        {
+            name: 'lrcmode',
+            in: 'query',
+            description: '翻译的显示方式，默认 LRC 为 inline、字幕为 separate',
+            schema: { type: 'string', enum: LYRIC_MODES },
+        },
+        {
+            name: 'lrcroma',
+            in: 'query',
+            description: '为 1 时加入音译歌词（网易云）',
+            schema: { type: 'string', enum: ['0', '1'] },
+        },
+        {
+            name: 'lrcoffset',
+            in: 'query',
+            description: '歌词整体偏移（毫秒），正值使歌词提前',
+            schema: { type: 'integer' },
+        },
+        {
+            name: 'quality',
+            in: 'query',
+            description: 'type=url 的音质，取不到时依次降级，实际音质见 X-Quality 响应头；也可用 br 传码率',
+            schema: { type: 'string', enum: QUALITIES, default: 'standard' },
+        },
+        {
+            name: 'br',
+            in: 'query',
+            description: '码率（如 320000 或 320），与 quality 同时指定时以 quality 为准',
+            schema: { type: 'integer' },
+        },
+        {
+            name: 'fallback',
+            in: 'query',
+            description: 'type=url 无法播放时是否到其他 provider 搜索同一首歌，默认取 URL_FALLBACK 配置',
+            schema: { type: 'string', enum: ['0', '1'] },
+        },
+        {
+            name: 'proxy',
+            in: 'query',
+            description: 'type=url 时为 1 则由本服务转发音频，支持 Range；列表中的 url 链接同样带上 proxy=1',
+            schema: { type: 'string', enum: ['0', '1'] },
+        },
+        {
+            name: 'schema',
+            in: 'query',
+            description: '列表中歌曲的字段，默认 aplayer，full 返回专辑、时长、会员标记等完整信息；type=album 时 full 另带专辑信息',
+            schema: { type: 'string', enum: SONG_SCHEMAS, default: 'aplayer' },
+        },
+        {
+            name: 'output',
+            in: 'query',
+            description: '列表导出格式，rss/atom 仅适用于 playlist',
+            schema: { type: 'string', enum: OUTPUT_FORMATS },
+        },
+    ]
+
+    return {
+        openapi: '3.0.3',
+        info: {
+            title: 'Meting API',
+            version: '1.5.0',
+            description: '运行示例：\n' + samples.map(sample => `- [${sample.server} ${sample.type}](${server_url}/api?${example_query(sample)})`).join('\n'),
+        },
+        servers: [{ url: server_url || '/' }],
+        paths: {
+            '/api': {
+                get: {
+                    summary: '获取歌单、歌曲、歌词、封面与音频',
+                    parameters,
+                    responses: {
+                        200: {
+                            description: '列表类型返回歌曲数组，lrc 返回歌词文本或 JSON，output 指定时返回对应文件',
+                            headers: {
+                                'X-Cache': { schema: { type: 'string', enum: ['HIT', 'MISS', 'BYPASS'] } },
+                                'X-Total-Count': { description: '列表类型的总数', schema: { type: 'integer' } },
+                                'X-Has-More': { schema: { type: 'boolean' } },
+                            },
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        oneOf: [
+                                            { type: 'array', items: { $ref: '#/components/schemas/Song' } },
+                                            { type: 'array', items: { $ref: '#/components/schemas/SongFull' } },
+                                            {
+                                                type: 'object',
+                                                description: 'type=album&schema=full',
+                                                properties: {
+                                                    album: { $ref: '#/components/schemas/Album' },
+                                                    songs: { type: 'array', items: { $ref: '#/components/schemas/SongFull' } },
+                                                },
+                                            },
+                                            { type: 'array', items: { $ref: '#/components/schemas/LyricLine' } },
+                                            { $ref: '#/components/schemas/KaraokeLyric' },
+                                        ],
+                                    },
+                                },
+                                'text/plain': { schema: { type: 'string', description: 'LRC 歌词' } },
+                            },
+                        },
+                        206: { description: 'proxy=1 且带 Range 请求头时的部分音频' },
+                        302: {
+                            description: 'url/pic 跳转到上游地址',
+                            headers: {
+                                'X-Quality': { description: 'url 实际返回的音质', schema: { type: 'string', enum: QUALITIES } },
+                                'X-Fallback-Provider': { description: '使用了其他 provider 的链接时为该 provider', schema: { type: 'string' } },
+                                'X-Fallback-Score': { description: '匹配得分，0~1', schema: { type: 'number' } },
+                            },
+                        },
+                        400: error_response('参数不合法'),
+                        403: error_response('签名错误或资源受限'),
+                        404: error_response('资源不存在'),
+                        502: error_response('上游返回错误'),
+                        503: error_response('上游限流或代理繁忙'),
+                        504: error_response('上游超时'),
+                    },
+                },
+            },
+            '/api/batch': {
+                post: {
+                    summary: '批量获取，url/pic 返回链接而非跳转',
+                    requestBody: {
+                        content: {
+                            'application/json': {
+                                schema: {
+                                    type: 'array',
+                                    maxItems: config.BATCH_MAX_ITEMS,
+                                    items: { $ref: '#/components/schemas/ApiRequest' },
+                                },
+                                example: samples.slice(0, 2),
+                            },
+                        },
+                    },
+                    responses: {
+                        200: {
+                            description: '按请求顺序返回每一项的结果，失败项为 Error 结构',
+                            content: {
+                                'application/json': {
+                                    schema: {
+                                        type: 'object',
+                                        properties: {
+                                            status: { type: 'integer' },
+                                            total: { type: 'integer' },
+                                            failed: { type: 'integer' },
+                                            results: { type: 'array', items: { type: 'object' } },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                        400: error_response('请求体不合法'),
+                    },
+                },
+            },
+        },
+        components: { schemas: { ...schemas, ...request_schemas(support, parameters) } },
+    }
+}
+
+export const openapi = (ctx) => ctx.json(build_openapi(new Providers(), {
+    server_url: get_url(ctx).replace(/\/openapi\.json$/, ''),
+}))
+
+// 文档页使用的 swagger-ui-dist 文件
+const SWAGGER_UI_FILES = {
+    'swagger-ui.css': 'text/css; charset=UTF-8',
+    'swagger-ui-bundle.js': 'application/javascript; charset=UTF-8',
+}
+
+/**
+ * GET /swagger-ui/:file
+ * 优先返回本地安装的 swagger-ui-dist，无法读取文件（如 Cloudflare Workers）时跳转到 SWAGGER_UI_CDN
+ */
+export const swagger_ui = async (ctx) => {
+    const file = ctx.req.param('file')
+    const content_type = SWAGGER_UI_FILES[file]
+    if (!content_type) return ctx.notFound()
+    try {
+        const body = await fs.readFile(new URL(`../../node_modules/swagger-ui-dist/${file}`, import.meta.url))
+        return ctx.body(body, 200, { 'Content-Type': content_type, 'Cache-Control': 'public, max-age=86400' })
+    } catch (error) {
+        return ctx.redirect(`${config.SWAGGER_UI_CDN}/${file}`)
+    }
+}
+
+export const docs = (ctx) => ctx.html(`<!DOCTYPE html>
+<html>
+
+<head>
+    <meta charset="utf-8">
+    <title>Meting API 文档</title>
+    <link rel="stylesheet" href="swagger-ui/swagger-ui.css">
+</head>
+
+<body>
+    <div id="swagger"></div>
+    <script src="swagger-ui/swagger-ui-bundle.js"></script>
+    <script>
+        SwaggerUIBundle({ url: 'openapi.json', dom_id: '#swagger' })
+    </script>
+</body>
+
+</html>
+`)
@@ -0,0 +1,60 @@
+import config from "../config.js"
+import { to_meting_error } from "../errors.js"
+import { resolve } from "./resolve.js"
+import { match_score } from "./search.js"
+import { sign } from "./auth.js"
+
+// 每个 provider 参与比对的搜索结果数量
+const CANDIDATES = 10
+
+// 请求参数 fallback=0/1 优先于 URL_FALLBACK 配置
+export const fallback_enabled = (param) => {
+    if (param === '1') return true
+    if (param === '0') return false
+    return config.URL_FALLBACK
+}
+
+// 内部调用同样经过签名校验
+const internal = (p, server, type, id, options = {}) => resolve(p, { ...options, server, type, id, auth: sign(server, type, id) })
+
+/**
+ * 歌曲在 server 上无法播放时，到其他支持搜索的 provider 查找同一首歌
+ * 按标题、歌手、时长打分，从高到低尝试得分不低于 FALLBACK_MIN_SCORE 的候选
+ * @returns {Promise<{ provider: string, id: string, url: string, quality: string | null, score: number } | null>}
+ */
+export const find_fallback = async (p, { server, id, quality }) => {
+    let song
+    try {
+        song = (await internal(p, server, 'song', id)).data[0]
+    } catch (e) {
+        console.error(`❌ fallback ${server}/song/${id}:`, to_meting_error(e).message)
+        return null
+    }
+    if (!song) return null
+
+    const providers = p.get_provider_list().filter(name => name !== server
+        && ['search', 'url'].every(type => p.get(name).support_type.includes(type)))
+
+    const groups = await Promise.allSettled(providers.map(provider =>
+        internal(p, provider, 'search', `${song.title} ${song.author}`, { limit: CANDIDATES })
+            .then(({ data }) => data.map(candidate => ({ provider, candidate, score: match_score(song, candidate) })))
+    ))
+
+    const matches = groups
+        .flatMap(group => group.status === 'fulfilled' ? group.value : [])
+        .filter(match => match.score >= config.FALLBACK_MIN_SCORE)
+        .sort((a, b) => b.score - a.score)
+
+    for (const { provider, candidate, score } of matches) {
+        const candidate_id = String(candidate.id ?? candidate.url)
+        try {
+            const { data } = await internal(p, provider, 'url', candidate_id, { quality })
+            if (data.url && !data.outer) {
+                return { provider, id: candidate_id, url: data.url, quality: data.quality, score }
+            }
+        } catch (e) {
+            console.error(`❌ fallback ${provider}/url/${candidate_id}:`, to_meting_error(e).message)
+        }
+    }
+    return null
+}
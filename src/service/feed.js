@@ -0,0 +1,94 @@
+import fs from 'fs/promises'
+import config from "../config.js"
+import { song_guid } from "../output/feed.js"
+
+// 订阅源条目首次出现的时间单独保存在 FEED_SEEN_FILE 中，不与响应缓存共用：
+// 不会被缓存淘汰或 /cache/purge 清除，重启或无服务器冷启动后也不会被当作新条目
+// 超过 SEEN_TTL 未再出现（已移出歌单）的条目删除；文件不可写（如 Vercel、Workers）时只保存在内存中
+const SEEN_TTL = 365 * 86400 * 1000
+
+// 条目仍在歌单中时，最近出现时间超过一天才更新，避免每次请求都写文件
+const TOUCH_INTERVAL = 86400 * 1000
+
+/**
+ * @param {string} [file] 为空时只保存在内存中
+ */
+export const create_seen_store = (file = config.FEED_SEEN_FILE) => {
+    // guid => { first, last } 毫秒时间戳
+    const seen = new Map()
+    let loading = null
+    let writing = Promise.resolve()
+
+    const load = () => loading = loading || (async () => {
+        if (!file) return
+        try {
+            for (const [guid, times] of Object.entries(JSON.parse(await fs.readFile(file, 'utf8')))) {
+                seen.set(guid, times)
+            }
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('❌ 读取订阅条目时间失败:', error.message)
+        }
+    })()
+
+    const save = (now) => {
+        for (const [guid, { last }] of seen) {
+            if (now - last > SEEN_TTL) seen.delete(guid)
+        }
+        if (!file) return writing
+        const content = JSON.stringify(Object.fromEntries(seen))
+        writing = writing
+            .then(() => file && fs.writeFile(file, content, 'utf8'))
+            .catch(error => {
+                console.error('❌ 保存订阅条目时间失败，之后只保存在内存中:', error.message)
+                file = null
+            })
+        return writing
+    }
+
+    return {
+        /**
+         * 记录本次出现并返回各条目的首次出现时间
+         * @returns {Promise<number[]>}
+         */
+        touch: async (guids, now = Date.now()) => {
+            await load()
+            let changed = false
+            const result = guids.map(guid => {
+                const times = seen.get(guid)
+                if (times && now - times.last <= SEEN_TTL) {
+                    if (now - times.last > TOUCH_INTERVAL) {
+                        times.last = now
+                        changed = true
+                    }
+                    return times.first
+                }
+                seen.set(guid, { first: now, last: now })
+                changed = true
+                return now
+            })
+            if (changed) await save(now)
+            return result
+        },
+        size: () => seen.size,
+    }
+}
+
+const seen_store = create_seen_store()
+
+/**
+ * 各条目的发布时间：有加入歌单时间 added 的歌曲不需要记录
+ * @param {object[]} songs
+ * @param {{ server: string, ids: string[], now?: number, store?: object }} options
+ * @returns {Promise<(number | null)[]>} 毫秒时间戳，与 songs 一一对应
+ */
+export const feed_dates = async (songs, { server, ids, now = Date.now(), store = seen_store }) => {
+    const pending = songs
+        .map((song, i) => ({ i, guid: song_guid(song.provider || server, ids[i]) }))
+        .filter(({ i }) => !songs[i].added)
+    const firsts = await store.touch(pending.map(item => item.guid), now)
+    const dates = songs.map(() => null)
+    pending.forEach(({ i }, j) => {
+        dates[i] = firsts[j]
+    })
+    return dates
+}
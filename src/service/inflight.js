@@ -0,0 +1,40 @@
+// 合并相同 key 的并发上游请求，所有调用方共享同一个 Promise
+const pending = new Map()
+
+const stats = {
+    leaders: 0,
+    folded: 0,
+}
+
+/**
+ * @returns {Promise<{ value: any, shared: boolean, folded: number }>}
+ * shared 表示本次调用复用了其他请求的结果，folded 为共享该次上游请求的其他调用方数量
+ */
+export const single_flight = async (key, fn) => {
+    const running = pending.get(key)
+    if (running) {
+        running.folded++
+        stats.folded++
+        const value = await running.promise
+        return { value, shared: true, folded: running.folded }
+    }
+
+    const flight = { folded: 0, promise: null }
+    flight.promise = (async () => {
+        try {
+            return await fn()
+        } finally {
+            pending.delete(key)
+        }
+    })()
+    pending.set(key, flight)
+    stats.leaders++
+
+    const value = await flight.promise
+    return { value, shared: false, folded: flight.folded }
+}
+
+export const inflight_stats = () => ({
+    ...stats,
+    pending: pending.size,
+})
@@ -0,0 +1,46 @@
+import { get_qr_key, create_qr_url, check_qr } from "../providers/netease/login.js"
+import { InvalidParamError, to_meting_error } from "../errors.js"
+import { save_credential, credential_summary } from "./credentials.js"
+
+// 网易云扫码登录管理接口，授权成功后凭据立即生效并持久化
+
+const fail = (c, e) => {
+    const error = to_meting_error(e)
+    return c.json({ success: false, message: error.message, code: error.code }, error.status)
+}
+
+export const login_endpoints = {
+    // 生成二维码，返回的 url 需由前端渲染为二维码
+    netease_qr: async (c) => {
+        try {
+            const key = await get_qr_key()
+            return c.json({ success: true, data: { key, url: create_qr_url(key) } })
+        } catch (e) {
+            return fail(c, e)
+        }
+    },
+
+    // 轮询扫码状态：expired / waiting / scanned / authorized
+    netease_qr_check: async (c) => {
+        try {
+            const key = c.req.query('key')
+            if (!key) throw new InvalidParamError('缺少 key 参数')
+
+            const { code, status, message, cookie } = await check_qr(key)
+            if (status !== 'authorized') {
+                return c.json({ success: true, data: { code, status, message } })
+            }
+
+            const problems = await save_credential('netease', cookie, 'qr')
+            if (problems.length) {
+                return c.json({ success: false, message: `登录返回的 cookie 无效: ${problems.join('，')}` }, 502)
+            }
+            return c.json({
+                success: true,
+                data: { code, status, message, credential: credential_summary().find(x => x.provider === 'netease') },
+            })
+        } catch (e) {
+            return fail(c, e)
+        }
+    },
+}
@@ -0,0 +1,151 @@
+import config from "../config.js"
+import example from "../example.js"
+import { to_meting_error } from "../errors.js"
+import { CREDENTIAL_PROVIDERS, credential_ids, pick_credential } from "./credentials.js"
+
+// 凭据健康检查：定期查询账号池中每个账号的状态，并直接请求示例歌曲的播放链接（不经过缓存）
+// 凭据失效后 /api 只会悄悄降级（网易云返回外链、QQ 音乐 purl 为空），需要主动发现
+
+const DAY = 86400000
+
+// provider/账号 id => 最近一次检查结果
+const results = {}
+
+let timer = null
+
+// 示例歌曲能否取到真实播放链接，海外环境的 QQ 音乐只返回 jsonp 描述，无法判断
+const probe_playback = async (provider, p, credential) => {
+    const id = example[provider]?.url?.value
+    if (!id) return null
+    const { url, quality, outer } = await p.get(provider).handle('url', id, { credential })
+    if (url?.startsWith('@')) return { id, playable: null, quality: null }
+    return { id, playable: Boolean(url) && !outer, quality: url && !outer ? quality : null }
+}
+
+/**
+ * expired: 登录已失效  degraded: 已登录但无法播放示例歌曲  ok: 正常
+ * 会员即将到期只作为 warnings，不改变状态
+ */
+const evaluate = (account, playback) => {
+    if (!account.logged_in) {
+        return { status: 'expired', warnings: ['登录已失效'] }
+    }
+    const warnings = []
+    let status = 'ok'
+    if (playback?.playable === false) {
+        status = 'degraded'
+        warnings.push(`示例歌曲 ${playback.id} 无法播放`)
+    }
+    if (account.vip_expires) {
+        const days = Math.floor((account.vip_expires - Date.now()) / DAY)
+        if (days < 0) warnings.push('会员已到期')
+        else if (days < config.CREDENTIAL_EXPIRY_WARN_DAYS) warnings.push(`会员将在 ${days} 天内到期`)
+    }
+    return { status, warnings }
+}
+
+const notify = async (record, previous) => {
+    const recovered = record.status === 'ok' && !record.warnings.length
+    const name = `${record.provider} 账号 ${record.account_id}`
+    const message = recovered
+        ? `${name} 已恢复正常`
+        : `${name}${record.status === 'ok' ? '' : ` 状态 ${record.status}`}：${record.warnings.join('，')}`
+    if (recovered) console.log(`✅ ${message}`)
+    else console.warn(`⚠️ ${message}`)
+
+    if (!config.CREDENTIAL_WEBHOOK) return
+    try {
+        const res = await fetch(config.CREDENTIAL_WEBHOOK, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...record, previous: previous?.status ?? null, message }),
+            signal: AbortSignal.timeout(config.UPSTREAM_TIMEOUT),
+        })
+        if (!res.ok) console.error(`❌ 凭据告警 webhook 返回 ${res.status}`)
+    } catch (error) {
+        console.error('❌ 凭据告警 webhook 发送失败:', error.message)
+    }
+}
+
+// 状态或告警内容变化时通知，首次检查正常时不通知
+const changed = (record, previous) => {
+    const key = (r) => `${r.status}|${r.warnings.join('|')}`
+    if (!previous) return record.status !== 'ok' || record.warnings.length > 0
+    return key(record) !== key(previous)
+}
+
+const check_account = async (p, provider, account_id) => {
+    const key = `${provider}/${account_id}`
+    const previous = results[key]
+    let record = { provider, account_id, configured: true, checked: new Date().toISOString() }
+
+    try {
+        const check = p.get(provider)?.check_account
+        const credential = pick_credential(provider, account_id)
+        const account = check ? await check(credential) : { logged_in: true }
+        const playback = account.logged_in ? await probe_playback(provider, p, credential) : null
+        record = {
+            ...record,
+            ...evaluate(account, playback),
+            account: {
+                logged_in: account.logged_in,
+                nickname: account.nickname ?? null,
+                vip: account.vip ?? null,
+                vip_level: account.vip_level ?? null,
+                vip_expires: account.vip_expires ? new Date(account.vip_expires).toISOString() : null,
+            },
+            playback,
+        }
+    } catch (e) {
+        // 网络等原因检查失败时不判定凭据失效，保留上次的账号信息
+        record = { ...previous, ...record, status: 'error', warnings: [`检查失败: ${to_meting_error(e).message}`] }
+    }
+
+    results[key] = record
+    if (changed(record, previous)) {
+        await notify(record, previous)
+    }
+    return record
+}
+
+/**
+ * 逐个检查 provider 账号池中的账号，结果写入 credential_health
+ * @returns {Promise<object[]>} 每个账号一条检查结果，未配置时为一条 unconfigured
+ */
+export const check_credential = async (p, provider) => {
+    const ids = credential_ids(provider)
+    if (!ids.length) {
+        return [{ provider, configured: false, checked: new Date().toISOString(), status: 'unconfigured', warnings: [] }]
+    }
+    const records = []
+    for (const id of ids) {
+        records.push(await check_account(p, provider, id))
+    }
+    return records
+}
+
+export const check_credentials = async (p) => (await Promise.all(CREDENTIAL_PROVIDERS.map(provider => check_credential(p, provider)))).flat()
+
+// /health 展示用，只列出账号池中现有的账号，未检查过的状态为 unchecked
+export const credential_health = () => CREDENTIAL_PROVIDERS.flatMap(provider => {
+    const ids = credential_ids(provider)
+    if (!ids.length) return [{ provider, configured: false, status: 'unconfigured' }]
+    return ids.map(id => results[`${provider}/${id}`] || { provider, account_id: id, configured: true, status: 'unchecked' })
+})
+
+/**
+ * 启动时检查一次，之后按 CREDENTIAL_CHECK_INTERVAL 定期检查
+ */
+export const start_credential_monitor = (p, interval = config.CREDENTIAL_CHECK_INTERVAL) => {
+    if (!interval || timer) return
+    const run = () => check_credentials(p).catch(error => console.error('❌ 凭据健康检查失败:', error))
+    run()
+    timer = setInterval(run, interval * 1000)
+    // 不阻止进程退出
+    timer.unref?.()
+}
+
+export const stop_credential_monitor = () => {
+    clearInterval(timer)
+    timer = null
+}
@@ -0,0 +1,136 @@
+import config from "../config.js"
+import { ProxyBusyError, RestrictedError, UpstreamError } from "../errors.js"
+
+// 转发给上游的请求头
+const FORWARD_REQUEST_HEADERS = ['range', 'if-range', 'if-none-match', 'if-modified-since']
+
+// 透传给客户端的响应头
+const FORWARD_RESPONSE_HEADERS = [
+    'content-type',
+    'content-length',
+    'content-range',
+    'accept-ranges',
+    'etag',
+    'last-modified',
+]
+
+const stats = {
+    active: 0,
+    total: 0,
+    rejected: 0,
+    bytes: 0,
+}
+
+// 令牌桶，所有代理流共享 PROXY_BANDWIDTH 带宽
+const bucket = {
+    tokens: 0,
+    last: Date.now(),
+}
+
+const take = async (size) => {
+    const rate = config.PROXY_BANDWIDTH
+    if (!rate) return
+    const now = Date.now()
+    // 最多积攒 1 秒的令牌，避免空闲后突发
+    bucket.tokens = Math.min(rate, bucket.tokens + (now - bucket.last) / 1000 * rate)
+    bucket.last = now
+    bucket.tokens -= size
+    if (bucket.tokens < 0) {
+        await new Promise(resolve => setTimeout(resolve, -bucket.tokens / rate * 1000))
+    }
+}
+
+// 包装上游响应体：限速、统计流量，结束或客户端断开时释放并发名额
+const relay = (body, release) => {
+    const reader = body.getReader()
+    return new ReadableStream({
+        async pull(controller) {
+            try {
+                const { done, value } = await reader.read()
+                if (done) {
+                    release()
+                    controller.close()
+                    return
+                }
+                await take(value.byteLength)
+                stats.bytes += value.byteLength
+                controller.enqueue(value)
+            } catch (error) {
+                release()
+                controller.error(error)
+            }
+        },
+        cancel(reason) {
+            release()
+            return reader.cancel(reason)
+        },
+    })
+}
+
+/**
+ * 通过本服务转发音频流，支持 Range 请求
+ * @param ctx hono 上下文
+ * @param {string} url 上游音频地址
+ */
+export const proxy_audio = async (ctx, url) => {
+    if (url.startsWith('@')) {
+        throw new RestrictedError('海外模式下 QQ 音乐链接需由客户端获取，无法代理')
+    }
+    if (stats.active >= config.PROXY_MAX_STREAMS) {
+        stats.rejected++
+        throw new ProxyBusyError(undefined, { active: stats.active, max: config.PROXY_MAX_STREAMS })
+    }
+
+    stats.active++
+    stats.total++
+    let released = false
+    const release = () => {
+        if (released) return
+        released = true
+        stats.active--
+    }
+
+    const headers = {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+    }
+    for (const name of FORWARD_REQUEST_HEADERS) {
+        const value = ctx.req.header(name)
+        if (value) headers[name] = value
+    }
+
+    let upstream
+    try {
+        upstream = await fetch(url, { method: ctx.req.method === 'HEAD' ? 'HEAD' : 'GET', headers })
+    } catch (error) {
+        release()
+        throw new UpstreamError('音频源请求失败', error.message)
+    }
+
+    if (!upstream.ok && upstream.status !== 304 && upstream.status !== 416) {
+        release()
+        throw new UpstreamError('音频源请求失败', { status: upstream.status })
+    }
+
+    const response_headers = new Headers()
+    for (const name of FORWARD_RESPONSE_HEADERS) {
+        const value = upstream.headers.get(name)
+        if (value) response_headers.set(name, value)
+    }
+    if (!response_headers.has('accept-ranges')) {
+        response_headers.set('accept-ranges', 'bytes')
+    }
+    response_headers.set('cache-control', 'no-store')
+
+    if (!upstream.body) {
+        release()
+        return new Response(null, { status: upstream.status, headers: response_headers })
+    }
+
+    return new Response(relay(upstream.body, release), { status: upstream.status, headers: response_headers })
+}
+
+export const proxy_stats = () => ({
+    ...stats,
+    max_streams: config.PROXY_MAX_STREAMS,
+    bandwidth: config.PROXY_BANDWIDTH,
+})
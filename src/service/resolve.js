@@ -0,0 +1,142 @@
+import config from "../config.js"
+import { with_timeout } from "../util.js"
+import { InvalidParamError, InvalidSignatureError, UpstreamError, to_meting_error } from "../errors.js"
+import { cached, cache_key, get_ttl } from "./cache.js"
+import { single_flight } from "./inflight.js"
+import { need_auth, sign, verify } from "./auth.js"
+import { merge_results } from "./search.js"
+import { parse_quality } from "../quality.js"
+
+// 支持 limit/offset/page 分页的类型
+export const PAGED_TYPES = ['playlist', 'artist', 'album', 'search']
+
+const DEFAULT_LIMIT = {
+    search: 30,
+}
+
+const to_int = (value, name, min) => {
+    if (value === undefined || value === null || value === '') return undefined
+    const n = Number(value)
+    if (!Number.isInteger(n) || n < min) {
+        throw new InvalidParamError(`${name} 参数不合法`)
+    }
+    return n
+}
+
+// 解析分页参数，page 从 1 开始，同时指定时 offset 优先
+export const parse_page = (type, { limit, offset, page } = {}) => {
+    if (!PAGED_TYPES.includes(type)) return null
+    limit = Math.min(to_int(limit, 'limit', 1) ?? DEFAULT_LIMIT[type] ?? config.PAGE_LIMIT_MAX, config.PAGE_LIMIT_MAX)
+    page = to_int(page, 'page', 1)
+    offset = to_int(offset, 'offset', 0) ?? (page ? (page - 1) * limit : 0)
+    return { limit, offset }
+}
+
+// provider 可直接返回数组，或已分页的 { songs, total }
+const to_page = (data, { limit, offset }) => {
+    if (Array.isArray(data)) {
+        return { songs: data.slice(offset, offset + limit), total: data.length }
+    }
+    return { songs: data.songs, total: data.total ?? data.songs.length }
+}
+
+/**
+ * 获取 server/type/id 对应的数据，/api 与 /api/batch 共用
+ * 依次进行参数校验、签名校验，再经过并发合并与缓存调用 provider
+ * 列表类型额外返回 total 与 hasMore，provider 提供专辑信息时还有 album，url 类型的 data 为 { url, quality }
+ * @returns {Promise<{ data: any, cache: string, shared: boolean, folded: number, total?: number, hasMore?: boolean, album?: object }>}
+ */
+export const resolve = async (p, { server, type, id, auth, limit, offset, page, quality, br }) => {
+    if (server === 'all' && type === 'search') {
+        return resolve_all_search(p, { id, limit, offset, page })
+    }
+
+    if (!p.get_provider_list().includes(server) || !p.get(server).support_type.includes(type)) {
+        throw new InvalidParamError('server 参数不合法')
+    }
+
+    if (!verify(server, type, id, auth)) {
+        throw new InvalidSignatureError(auth ? '签名校验失败' : '缺少 auth 参数')
+    }
+
+    const paging = parse_page(type, { limit, offset, page })
+    const options = type === 'url' ? { quality: parse_quality({ quality, br }) } : paging || {}
+    const key = cache_key(server, type, id, paging, options.quality)
+    const { value: { value: data, status }, shared, folded } = await single_flight(
+        key,
+        () => cached(key, get_ttl(type), () => with_timeout(p.get(server).handle(type, id, options), config.UPSTREAM_TIMEOUT))
+    )
+
+    if (!paging) {
+        return { data, cache: status, shared, folded }
+    }
+
+    const { songs, total } = to_page(data, paging)
+    return {
+        data: songs,
+        cache: status,
+        shared,
+        folded,
+        total,
+        hasMore: paging.offset + songs.length < total,
+        ...(data.album && { album: data.album }),
+    }
+}
+
+/**
+ * server=all&type=search：并发搜索所有支持 search 的 provider 并合并结果
+ * 单个 provider 失败或超时不影响其他结果，失败信息记录在 failed 中
+ */
+const resolve_all_search = async (p, { id, limit, offset, page }) => {
+    const providers = p.get_provider_list().filter(name => p.get(name).support_type.includes('search'))
+    const settled = await Promise.allSettled(
+        providers.map(server => resolve(p, { server, type: 'search', id, limit, offset, page }))
+    )
+
+    const groups = []
+    const failed = []
+    settled.forEach((result, i) => {
+        if (result.status === 'fulfilled') {
+            groups.push({ provider: providers[i], ...result.value })
+        } else {
+            const error = to_meting_error(result.reason)
+            console.error(`❌ ${providers[i]}/search/${id}:`, result.reason)
+            failed.push({ provider: providers[i], code: error.code, message: error.message })
+        }
+    })
+
+    if (groups.length === 0) {
+        throw new UpstreamError('所有 provider 搜索均失败', failed)
+    }
+
+    return {
+        data: merge_results(groups.map(group => ({ provider: group.provider, songs: group.data }))),
+        cache: groups.length && groups.every(group => group.cache === 'HIT') ? 'HIT' : 'MISS',
+        shared: false,
+        folded: 0,
+        total: groups.reduce((sum, group) => sum + group.total, 0),
+        hasMore: groups.some(group => group.hasMore),
+        providers: groups.map(group => group.provider),
+        failed,
+    }
+}
+
+// json 类型数据填充api
+// 结果可能被合并的并发请求共享，复制后再填充
+// 聚合搜索的结果带有 provider 字段，以其作为对应的 server
+// proxy 为 true 时 url 链接改为经由本服务转发音频，quality 附加到 url 链接上
+export const fill_links = (base, server, songs, { proxy = false, quality } = {}) => songs.map(song => {
+    const x = { ...song }
+    const s = x.provider || server
+    for (let i of ['url', 'pic', 'lrc']) {
+        const _ = String(x[i])
+        // 正常对象_均为id，以下例外不用填充：1.@开头/size为0=>qq音乐jsonp 2.已存在完整链接
+        if (!_.startsWith('@') && !_.startsWith('http') && _.length > 0) {
+            x[i] = `${base}?server=${s}&type=${i}&id=${_}`
+            if (need_auth(i)) x[i] += `&auth=${sign(s, i, _)}`
+            if (quality && i === 'url') x[i] += `&quality=${quality}`
+            if (proxy && i === 'url') x[i] += '&proxy=1'
+        }
+    }
+    return x
+})
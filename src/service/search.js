@@ -0,0 +1,84 @@
+// 聚合搜索：合并多个 provider 的搜索结果并去重
+
+// 归一化标题/歌手：全角转半角、忽略大小写、空白与标点
+export const normalize = (text = '') => String(text)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[\s\p{P}\p{S}]+/gu, '')
+
+export const song_key = (song) => `${normalize(song.title)}|${normalize(song.author)}`
+
+/**
+ * 按排名交错合并各 provider 的结果，同名同歌手只保留排名最靠前的一条
+ * @param {{ provider: string, songs: object[] }[]} groups
+ */
+export const merge_results = (groups) => {
+    const seen = new Set()
+    const merged = []
+    const longest = Math.max(0, ...groups.map(group => group.songs.length))
+    for (let i = 0; i < longest; i++) {
+        for (const { provider, songs } of groups) {
+            const song = songs[i]
+            if (!song) continue
+            const key = song_key(song)
+            if (seen.has(key)) continue
+            seen.add(key)
+            merged.push({ ...song, provider })
+        }
+    }
+    return merged
+}
+
+// 字符二元组的 Dice 系数，单字时退化为是否相等
+const similarity = (a, b) => {
+    if (a === b) return 1
+    if (a.length < 2 || b.length < 2) return 0
+    const bigrams = (text) => {
+        const map = new Map()
+        for (let i = 0; i < text.length - 1; i++) {
+            const gram = text.slice(i, i + 2)
+            map.set(gram, (map.get(gram) || 0) + 1)
+        }
+        return map
+    }
+    const x = bigrams(a)
+    let overlap = 0
+    for (const [gram, count] of bigrams(b)) {
+        overlap += Math.min(count, x.get(gram) || 0)
+    }
+    return (2 * overlap) / (a.length + b.length - 2)
+}
+
+// 标题相同或互相包含（如带“(Live)”后缀）视为高度相似
+const title_score = (a, b) => {
+    a = normalize(a)
+    b = normalize(b)
+    if (!a || !b) return 0
+    if (a === b) return 1
+    if (a.includes(b) || b.includes(a)) return 0.8
+    return similarity(a, b)
+}
+
+// 有任一歌手相同即满分
+const artist_score = (a, b) => {
+    const x = String(a || '').split('/').map(normalize).filter(Boolean)
+    const y = String(b || '').split('/').map(normalize).filter(Boolean)
+    if (!x.length || !y.length) return 0
+    if (x.some(name => y.includes(name))) return 1
+    return similarity(x.join(''), y.join(''))
+}
+
+// 时长差 3 秒内满分，15 秒以上为 0，任一未知时记 0.5
+const duration_score = (a, b) => {
+    if (!a || !b) return 0.5
+    const diff = Math.abs(a - b) / 1000
+    return Math.max(0, Math.min(1, (15 - diff) / 12))
+}
+
+/**
+ * 两首歌是同一首的可信度，0~1
+ * 标题、歌手、时长分别占 0.5、0.3、0.2
+ */
+export const match_score = (song, candidate) => title_score(song.title, candidate.title) * 0.5
+    + artist_score(song.author, candidate.author) * 0.3
+    + duration_score(song.duration, candidate.duration) * 0.2
@@ -0,0 +1,93 @@
+import { InvalidParamError } from "./errors.js"
+
+// 统一的歌曲模型，各 provider 都映射到该结构后再缓存
+// url/pic/lrc 与原先一致：为资源 id 或完整链接，输出前由 fill_links 填充
+// duration 单位为毫秒，published 为发行日期 YYYY-MM-DD，added 为加入歌单的时间（ISO 8601），未知字段为 null
+
+// aplayer: 默认，仅 APlayer 需要的字段  full: 完整模型
+export const SONG_SCHEMAS = ['aplayer', 'full']
+
+/**
+ * @returns {{ id: string, provider: string, title: string, author: string, album: string | null, album_id: string | null,
+ *   duration: number | null, published: string | null, added: string | null, explicit: boolean, vip: boolean, link: string | null, pic: string, url: string, lrc: string }}
+ */
+export const make_song = ({
+    id,
+    provider,
+    title = '',
+    author = '',
+    album = null,
+    album_id = null,
+    duration = null,
+    published = null,
+    added = null,
+    explicit = false,
+    vip = false,
+    link = null,
+    pic = '',
+    url = '',
+    lrc = '',
+}) => ({
+    id: id === undefined || id === null ? null : String(id),
+    provider,
+    title,
+    author,
+    album,
+    album_id: album_id === undefined || album_id === null ? null : String(album_id),
+    duration,
+    published,
+    added,
+    explicit: Boolean(explicit),
+    vip: Boolean(vip),
+    link,
+    pic,
+    url,
+    lrc,
+})
+
+// 外部 Meting 兼容接口（ytmusic/spotify）返回的歌曲，字段名不固定
+export const from_external = (song, provider) => make_song({
+    ...song,
+    provider,
+    title: song.title ?? song.name,
+    author: song.author ?? song.artist,
+})
+
+// 毫秒时间戳转为发行日期，平台按北京时间零点记录
+export const to_date = (timestamp) => timestamp
+    ? new Date(timestamp + 8 * 3600000).toISOString().slice(0, 10)
+    : null
+
+// 多个歌手以 " / " 连接
+export const join_artists = (artists = []) => artists.map(artist => artist.name).join(' / ')
+
+// 保持原有输出：QQ 音乐额外带 songmid，聚合搜索额外带 provider
+const to_aplayer = (song, { with_provider }) => ({
+    title: song.title,
+    author: song.author,
+    url: song.url,
+    pic: song.pic,
+    lrc: song.lrc,
+    ...(song.songmid !== undefined && { songmid: song.songmid }),
+    ...(with_provider && song.provider && { provider: song.provider }),
+})
+
+// 校验 schema 参数，在请求上游之前调用；未指定时使用默认的 aplayer
+export const check_schema = (schema) => {
+    if (schema && !SONG_SCHEMAS.includes(schema)) {
+        throw new InvalidParamError(`schema 仅支持 ${SONG_SCHEMAS.join('/')}`)
+    }
+}
+
+/**
+ * 按 schema 参数输出歌曲列表
+ * @param {object[]} songs 已填充链接的歌曲
+ * @param {string} [schema] aplayer 或 full，默认 aplayer
+ * @param {{ server?: string }} options server=all 时保留 provider 字段
+ */
+export const apply_schema = (songs, schema, { server } = {}) => {
+    schema = schema || 'aplayer'
+    check_schema(schema)
+    if (schema === 'full') return songs
+    return songs.map(song => to_aplayer(song, { with_provider: server === 'all' }))
+}
@@ -1,47 +1,12 @@
-export function format(lyric, tlyric) {
-  const lyricArray = trimLyric(lyric)
-  const tlyricArray = trimLyric(tlyric)
-  if (tlyricArray.length === 0) {
-    return lyric
-  }
-  const result = []
-  for (let i = 0, j = 0; i < lyricArray.length && j < tlyricArray.length; i += 1) {
-    const time = lyricArray[i].time
-    let text = lyricArray[i].text
-    while (time > tlyricArray[j].time && j + 1 < tlyricArray.length) {
-      j += 1
-    }
-    if (time === tlyricArray[j].time && tlyricArray[j].text.length) {
-      text = `${text} (${tlyricArray[j].text})`
-    }
-    result.push({
-      time,
-      text
-    })
-  }
-  return result
-    .map(x => {
-      const minus = Math.floor(x.time / 60000).toString().padStart(2, '0')
-      const second = Math.floor((x.time % 60000) / 1000).toString().padStart(2, '0')
-      const millisecond = Math.floor((x.time % 1000)).toString().padStart(3, '0')
-      return `[${minus}:${second}.${millisecond}]${x.text}`
-    })
-    .join('\n')
-}
+import { UpstreamTimeoutError } from "./errors.js"
+import { render_lyric } from "./lyric/index.js"
+import { get_runtime } from "./runtime.js"
 
-const trimLyric = (lyric) => {
-  const result = []
-  const lines = lyric.split('\n')
-  for (const line of lines) {
-    const match = line.match(/^\[(\d{2}):(\d{2}\.\d*)\](.*)$/)
-    if (match) {
-      result.push({
-        time: parseInt(parseInt(match[1], 10) * 60 * 1000 + parseFloat(match[2]) * 1000),
-        text: match[3]
-      })
-    }
-  }
-  return result.sort((a, b) => a.time - b.time)
+// config.js 需要 get_runtime，单独放在 runtime.js 中以免 config 经由本文件依赖歌词模块
+export { get_runtime }
+
+export function format(lyric, tlyric) {
+  return render_lyric({ lyric, tlyric }).body
 }
 
 export const getPathFromURL = (url, strict = true) => {
@@ -53,43 +18,6 @@ export const getPathFromURL = (url, strict = true) => {
   return result;
 };
 
-export const get_runtime = () => {
-
-  if (globalThis?.process?.env?.RUNTIME) {
-    return globalThis?.process?.env?.RUNTIME
-  }
-
-  if (globalThis?.Deno !== undefined) {
-    return 'deno'
-  }
-
-  if (globalThis?.Bun !== undefined) {
-    return 'bun'
-  }
-
-  if (typeof globalThis?.WebSocketPair === 'function') {
-    return 'cloudflare'
-  }
-
-  if (globalThis?.fastly !== undefined) {
-    return 'fastly'
-  }
-
-  if (typeof globalThis?.EdgeRuntime === 'string') {
-    return 'vercel'
-  }
-
-  if (globalThis?.process?.release?.name === 'node') {
-    return 'node'
-  }
-
-  if (globalThis?.__lagon__ !== undefined) {
-    return 'lagon'
-  }
-
-  return 'other'
-}
-
 export const get_url = (ctx) => {
   const runtime = get_runtime()
   const perfix = ctx.req.header('X-Forwarded-Host') || ctx.req.header('X-Forwarded-Url')
@@ -98,3 +26,25 @@ export const get_url = (ctx) => {
   if (runtime === 'vercel') req_url = req_url.replace('http://', 'https://')
   return req_url
 }
+
+export const with_timeout = (promise, ms) => {
+  let timer
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new UpstreamTimeoutError(`上游接口 ${ms}ms 内未响应`)), ms)
+  })
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+// 以最多 limit 个并发依次处理 items，结果顺序与输入一致
+export const map_limit = async (items, limit, fn) => {
+  const results = new Array(items.length)
+  let next = 0
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++
+      results[index] = await fn(items[index], index)
+    }
+  }
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker))
+  return results
+}
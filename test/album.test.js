@@ -0,0 +1,98 @@
+import Providers from "../src/providers/index.js"
+import { resolve } from "../src/service/resolve.js"
+import { render_output } from "../src/output/index.js"
+import api from "../src/service/api.js"
+import { Hono } from 'hono'
+import { test, expect, vi, afterEach } from 'vitest'
+
+// 北京时间 2003-07-31 00:00
+const PUBLISHED = Date.UTC(2003, 6, 30, 16)
+
+const album_response = {
+    code: 200,
+    album: {
+        id: 32311,
+        name: '叶惠美',
+        picUrl: 'https://p1.music.126.net/album.jpg',
+        publishTime: PUBLISHED,
+        artists: [{ name: '周杰伦' }],
+        company: '杰威尔音乐',
+        description: '第四张专辑',
+        size: 3,
+    },
+    songs: [1, 2, 3].map(id => ({ id, name: `歌 ${id}`, ar: [{ name: '周杰伦' }], al: { id: 32311, name: '叶惠美' }, dt: 200000 })),
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals()
+})
+
+test('netease album maps tracks and album metadata', async () => {
+    const urls = []
+    vi.stubGlobal('fetch', async (url) => {
+        urls.push(url)
+        return new Response(JSON.stringify(album_response))
+    })
+    const p = new Providers()
+    expect(p.get('netease').support_type).toContain('album')
+
+    const { data, total, hasMore, album } = await resolve(p, { server: 'netease', type: 'album', id: '32311', limit: '2', page: '2' })
+    expect(urls[0]).toBe('https://music.163.com/weapi/v1/album/32311')
+    expect(total).toBe(3)
+    expect(hasMore).toBe(false)
+    expect(data).toHaveLength(1)
+    expect(data[0]).toMatchObject({ id: '3', title: '歌 3', album: '叶惠美', pic: 'https://p1.music.126.net/album.jpg', published: '2003-07-31' })
+    expect(album).toEqual({
+        id: '32311',
+        name: '叶惠美',
+        pic: 'https://p1.music.126.net/album.jpg',
+        artist: '周杰伦',
+        published: '2003-07-31',
+        company: '杰威尔音乐',
+        description: '第四张专辑',
+        size: 3,
+    })
+
+    const { body } = render_output(data, { format: 'm3u8', type: 'album', server: 'netease', id: '32311', album })
+    expect(body).toContain('#PLAYLIST:周杰伦 - 叶惠美')
+})
+
+test('album metadata is returned on /api with schema=full', async () => {
+    vi.stubGlobal('fetch', async () => new Response(JSON.stringify({
+        ...album_response,
+        // 第一首歌自带封面和发行时间，其余使用专辑的
+        songs: album_response.songs.map((song, i) => i ? song : { ...song, al: { ...song.al, picUrl: 'https://p1.music.126.net/own.jpg' }, publishTime: PUBLISHED + 86400000 }),
+    })))
+    const app = new Hono()
+    app.get('/api', api)
+
+    const full = await (await app.request('http://localhost/api?server=netease&type=album&id=32312&schema=full')).json()
+    expect(full.album).toMatchObject({ name: '叶惠美', artist: '周杰伦', published: '2003-07-31', pic: 'https://p1.music.126.net/album.jpg' })
+    expect(full.songs.map(song => [song.pic, song.published])).toEqual([
+        ['https://p1.music.126.net/own.jpg', '2003-08-01'],
+        ['https://p1.music.126.net/album.jpg', '2003-07-31'],
+        ['https://p1.music.126.net/album.jpg', '2003-07-31'],
+    ])
+
+    // 默认仍为 APlayer 数组
+    const plain = await (await app.request('http://localhost/api?server=netease&type=album&id=32312')).json()
+    expect(Array.isArray(plain)).toBe(true)
+    expect(plain).toHaveLength(3)
+})
+
+test('invalid schema is rejected before the upstream request', async () => {
+    const fetch = vi.fn(async () => new Response(JSON.stringify(album_response)))
+    vi.stubGlobal('fetch', fetch)
+    const app = new Hono()
+    app.get('/api', api)
+
+    const res = await app.request('http://localhost/api?server=netease&type=album&id=32313&schema=short')
+    expect(res.status).toBe(400)
+    expect((await res.json()).code).toBe('INVALID_PARAM')
+    expect(fetch).not.toHaveBeenCalled()
+})
+
+test('missing netease album is an upstream error', async () => {
+    vi.stubGlobal('fetch', async () => new Response(JSON.stringify({ code: 404, msg: '专辑不存在' })))
+    await expect(new Providers().get('netease').handle('album', '1', {})).rejects.toMatchObject({ code: 'NOT_FOUND' })
+})
@@ -0,0 +1,24 @@
+import { Hono } from 'hono'
+import { test, expect } from 'vitest'
+
+process.env.AUTH_SECRET = 'meting-secret'
+const { sign, verify } = await import("../src/service/auth.js")
+const { default: api } = await import("../src/service/api.js")
+
+const app = new Hono()
+app.get('/api', api)
+
+test('auth signature matches Meting PHP hash_hmac', () => {
+    // hash_hmac('sha1', 'neteaseurl473403185', 'meting-secret')
+    expect(sign('netease', 'url', '473403185')).toBe('3bdd81fcfa88387874e462701871b7b4712f4827')
+    expect(verify('netease', 'url', '473403185', '3bdd81fcfa88387874e462701871b7b4712f4827')).toBe(true)
+    expect(verify('netease', 'url', '473403186', '3bdd81fcfa88387874e462701871b7b4712f4827')).toBe(false)
+    expect(verify('netease', 'lrc', '473403185', '')).toBe(false)
+    expect(verify('netease', 'playlist', '17584514086', '')).toBe(true)
+})
+
+test('unsigned resource request is rejected', async () => {
+    const res = await app.request('http://localhost:3000/api?server=netease&type=url&id=473403185')
+    expect(res.status).toBe(403)
+    expect(await res.json()).toMatchObject({ code: 'INVALID_SIGNATURE' })
+})
@@ -0,0 +1,85 @@
+import batch from "../src/service/batch.js"
+import config from "../src/config.js"
+import { Hono } from 'hono'
+import { test, expect, vi, afterEach } from 'vitest'
+
+const app = new Hono()
+app.post('/api/batch', batch)
+
+const post = (body) => app.request('/api/batch', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: typeof body === 'string' ? body : JSON.stringify(body),
+})
+
+// 专辑 1 正常返回，其余 id 返回不存在
+const stub_album = () => vi.stubGlobal('fetch', async (url) => {
+    if (!url.endsWith('/album/1')) return new Response(JSON.stringify({ code: 404, message: '专辑不存在' }))
+    return new Response(JSON.stringify({
+        code: 200,
+        album: { id: 1, name: '专辑', picUrl: 'https://p1.music.126.net/a.jpg', artists: [{ name: '歌手' }] },
+        songs: [1, 2].map(id => ({ id, name: `歌 ${id}`, ar: [{ name: '歌手' }], al: { id: 1, name: '专辑' } })),
+    }))
+})
+
+afterEach(() => {
+    vi.unstubAllGlobals()
+})
+
+test('invalid bodies are rejected', async () => {
+    for (const body of ['{', '{}', '[]', JSON.stringify({ items: 'x' })]) {
+        const res = await post(body)
+        expect(res.status).toBe(400)
+        expect((await res.json()).code).toBe('INVALID_PARAM')
+    }
+})
+
+test('item count is limited by BATCH_MAX_ITEMS', async () => {
+    const items = Array.from({ length: config.BATCH_MAX_ITEMS + 1 }, () => ({ server: 'netease', type: 'album', id: '1' }))
+    const res = await post(items)
+    expect(res.status).toBe(400)
+    expect((await res.json()).message).toContain(String(config.BATCH_MAX_ITEMS))
+})
+
+test('item errors do not affect other items', async () => {
+    stub_album()
+    const res = await post({
+        items: [
+            { server: 'netease', type: 'album', id: '1', limit: '1' },
+            { server: 'nope', type: 'album', id: '1' },
+            { server: 'netease', type: 'album', id: '2' },
+            { server: 'netease', type: 'album', id: '1', limit: '0' },
+            null,
+        ],
+    })
+    expect(res.status).toBe(200)
+    const body = await res.json()
+    expect(body.total).toBe(5)
+    expect(body.failed).toBe(4)
+
+    const [ok, bad_server, missing, bad_limit, empty] = body.results
+    expect(ok).toMatchObject({ status: 200, total: 2, hasMore: true, album: { name: '专辑' }, param: { server: 'netease', type: 'album', id: '1' } })
+    expect(ok.data).toHaveLength(1)
+    expect(bad_server).toMatchObject({ status: 400, code: 'INVALID_PARAM', param: { server: 'nope' } })
+    expect(missing).toMatchObject({ status: 404, code: 'NOT_FOUND', param: { id: '2' } })
+    expect(bad_limit).toMatchObject({ status: 400, code: 'INVALID_PARAM' })
+    expect(empty).toMatchObject({ param: { server: 'tencent', type: 'playlist', id: '' } })
+    expect(empty.status).not.toBe(200)
+})
+
+test('invalid lyric and schema options fail the item before the upstream request', async () => {
+    const fetch = vi.fn(async () => new Response(JSON.stringify({ code: 200, lrc: { lyric: '[00:01.00]歌词' } })))
+    vi.stubGlobal('fetch', fetch)
+    const res = await post([
+        { server: 'netease', type: 'lrc', id: '1', lrcformat: 'ass' },
+        { server: 'netease', type: 'lrc', id: '1', lrcoffset: 'abc' },
+        { server: 'netease', type: 'klrc', id: '1', lrcformat: 'srt' },
+        { server: 'netease', type: 'album', id: '1', schema: 'nope' },
+    ])
+    const body = await res.json()
+    expect(body.failed).toBe(4)
+    for (const result of body.results) {
+        expect(result).toMatchObject({ status: 400, code: 'INVALID_PARAM' })
+    }
+    expect(fetch).not.toHaveBeenCalled()
+})
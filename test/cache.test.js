@@ -0,0 +1,86 @@
+import { cached, cache_key, cache_endpoints, create_memory_backend, create_file_backend, get_backend, use_backend } from "../src/service/cache.js"
+import { Hono } from 'hono'
+import { test, expect } from 'vitest'
+import os from 'os'
+import path from 'path'
+import fs from 'fs/promises'
+
+test('memory backend evicts least recently used entry', async () => {
+    const backend = create_memory_backend(2)
+    const entry = (key) => ({ key, value: '1', expires: Date.now() + 1000, created: Date.now() })
+    await backend.set('a', entry('a'))
+    await backend.set('b', entry('b'))
+    await backend.get('a')
+    await backend.set('c', entry('c'))
+    expect((await backend.entries()).map(e => e.key)).toEqual(['a', 'c'])
+})
+
+test('file backend round trip', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'meting-cache-'))
+    const backend = create_file_backend(dir)
+    const key = cache_key('netease', 'playlist', '123')
+    await backend.set(key, { key, value: '[]', expires: Date.now() + 1000, created: Date.now() })
+    expect((await backend.get(key)).value).toBe('[]')
+    expect(await backend.get(cache_key('netease', 'playlist', '124'))).toBeNull()
+    await backend.clear()
+    expect(await backend.entries()).toEqual([])
+    await fs.rm(dir, { recursive: true, force: true })
+})
+
+test('file backend deletes expired entries on read', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'meting-cache-'))
+    const backend = create_file_backend(dir)
+    const key = cache_key('netease', 'song', '1')
+    await backend.set(key, { key, value: '[]', expires: Date.now() - 1, created: Date.now() - 1000 })
+    expect(await backend.get(key)).toBeNull()
+    expect(await fs.readdir(dir)).toEqual([])
+    await fs.rm(dir, { recursive: true, force: true })
+})
+
+test('filtered purge also prunes expired entries', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'meting-cache-'))
+    const backend = create_file_backend(dir)
+    const entry = (key, expires) => ({ key, value: '[]', expires, created: Date.now() })
+    await backend.set('netease:song:1', entry('netease:song:1', Date.now() + 60000))
+    await backend.set('netease:song:2', entry('netease:song:2', Date.now() - 1))
+    await backend.set('tencent:song:3', entry('tencent:song:3', Date.now() - 1))
+    await backend.set('tencent:song:4', entry('tencent:song:4', Date.now() + 60000))
+    await fs.writeFile(path.join(dir, 'broken.json'), '{', 'utf8')
+
+    const original = get_backend()
+    use_backend(backend)
+    const app = new Hono()
+    app.post('/cache/purge', cache_endpoints.purge)
+    const res = await app.request('/cache/purge?server=netease', { method: 'POST' })
+    use_backend(original)
+
+    expect(await res.json()).toMatchObject({ success: true, purged: 1, expired: 3 })
+    expect((await backend.entries()).map(e => e.key)).toEqual(['tencent:song:4'])
+    await fs.rm(dir, { recursive: true, force: true })
+})
+
+test('memory backend prunes expired entries', async () => {
+    const backend = create_memory_backend()
+    await backend.set('a', { key: 'a', value: '1', expires: Date.now() - 1, created: Date.now() })
+    await backend.set('b', { key: 'b', value: '1', expires: Date.now() + 1000, created: Date.now() })
+    expect(await backend.prune()).toBe(1)
+    expect((await backend.entries()).map(e => e.key)).toEqual(['b'])
+})
+
+test('cached reports hit and miss', async () => {
+    use_backend(create_memory_backend())
+    let calls = 0
+    const loader = async () => {
+        calls++
+        return [{ title: 'a' }]
+    }
+    const first = await cached('tencent:song:x', 60, loader)
+    const second = await cached('tencent:song:x', 60, loader)
+    expect(first.status).toBe('MISS')
+    expect(second.status).toBe('HIT')
+    expect(second.value).toEqual([{ title: 'a' }])
+    expect(calls).toBe(1)
+
+    const bypass = await cached('tencent:song:x', 0, loader)
+    expect(bypass.status).toBe('BYPASS')
+})
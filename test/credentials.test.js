@@ -0,0 +1,84 @@
+import { parse_cookie, validate_cookie, set_credential, get_cookie, cookie_header, credential_summary, clear_credential, pick_credential, report_credential, credential_usage, credential_ids, save_credential, load_from_env, load_from_file } from "../src/service/credentials.js"
+import config from "../src/config.js"
+import { test, expect } from 'vitest'
+import os from 'os'
+import path from 'path'
+import fs from 'fs/promises'
+
+test('cookies are parsed and validated per provider', () => {
+    expect(parse_cookie(' MUSIC_U=ab=c; __csrf=1 ;')).toEqual({ MUSIC_U: 'ab=c', __csrf: '1' })
+    expect(validate_cookie('netease', { __csrf: '1' })).toHaveLength(1)
+    expect(validate_cookie('tencent', { uin: 'o01', qm_keyst: 'k' })).toEqual([])
+    expect(set_credential('netease', '__csrf=1', 'env')).toHaveLength(1)
+    expect(get_cookie('netease')).toEqual({})
+})
+
+test('credentials are injected and redacted', () => {
+    set_credential('tencent', 'uin=o0123456; qqmusic_key=Q_H_L_63k3N1234567890abcdef', 'file')
+    expect(cookie_header('tencent')).toBe('uin=o0123456; qqmusic_key=Q_H_L_63k3N1234567890abcdef')
+    const tencent = credential_summary().find(x => x.provider === 'tencent')
+    expect(tencent).toMatchObject({ configured: true, accounts: [{ id: 'file-1', source: 'file', cookie: { uin: '***', qqmusic_key: 'Q_H_…cdef' } }] })
+    clear_credential('tencent')
+    expect(credential_summary().find(x => x.provider === 'tencent')).toEqual({ provider: 'tencent', configured: false })
+})
+
+test('accounts in a pool are rotated and cooled down', () => {
+    expect(set_credential('netease', 'MUSIC_U=a\n__csrf=1\nMUSIC_U=c', 'env')).toEqual(['第 2 个账号缺少 MUSIC_U'])
+    expect([1, 2, 3].map(() => pick_credential('netease').id)).toEqual(['env-1', 'env-2', 'env-1'])
+
+    // 风控后立即冷却，轮询跳过该账号
+    report_credential('netease', 'env-1', 'throttled')
+    expect([1, 2].map(() => pick_credential('netease').id)).toEqual(['env-2', 'env-2'])
+
+    // 连续取不到链接达到上限才冷却，中间成功一次则重新计数
+    for (let i = 1; i < config.CREDENTIAL_EMPTY_LIMIT; i++) report_credential('netease', 'env-2', 'empty')
+    report_credential('netease', 'env-2', 'ok')
+    report_credential('netease', 'env-2', 'empty')
+    expect(credential_usage().netease[1]).toMatchObject({ cooling: false, empty: config.CREDENTIAL_EMPTY_LIMIT })
+    for (let i = 1; i < config.CREDENTIAL_EMPTY_LIMIT; i++) report_credential('netease', 'env-2', 'empty')
+
+    // 全部冷却时使用最早结束冷却的账号
+    const usage = credential_usage().netease
+    expect(usage.map(x => x.cooling)).toEqual([true, true])
+    expect(usage[0]).toMatchObject({ id: 'env-1', uses: 2, throttled: 1, cooldowns: 1 })
+    expect(pick_credential('netease').id).toBe('env-1')
+    clear_credential('netease')
+})
+
+test('least recently used account is picked in lru mode', () => {
+    config.CREDENTIAL_ROTATION = 'lru'
+    try {
+        set_credential('tencent', ['uin=1; qm_keyst=a', 'uin=2; qm_keyst=b'], 'file')
+        expect(pick_credential('tencent', 'file-2').cookie).toEqual({ uin: '2', qm_keyst: 'b' })
+        expect(pick_credential('tencent').id).toBe('file-1')
+        expect(pick_credential('tencent').id).toBe('file-2')
+    } finally {
+        config.CREDENTIAL_ROTATION = 'round-robin'
+        clear_credential('tencent')
+    }
+})
+
+test('saved accounts are added to env accounts after a restart', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'meting-credentials-'))
+    const { NETEASE_COOKIE, CREDENTIALS_FILE } = config
+    config.NETEASE_COOKIE = 'MUSIC_U=env1\nMUSIC_U=env2'
+    config.CREDENTIALS_FILE = path.join(dir, 'credentials.json')
+    try {
+        load_from_env()
+        expect(await save_credential('netease', 'MUSIC_U=qr1', 'qr')).toEqual([])
+        expect(credential_ids('netease')).toEqual(['env-1', 'env-2', 'qr-1'])
+        expect(JSON.parse(await fs.readFile(config.CREDENTIALS_FILE, 'utf8'))).toEqual({ netease: 'MUSIC_U=qr1' })
+
+        // 重启：重新加载环境变量与凭据文件
+        clear_credential('netease')
+        load_from_env()
+        await load_from_file()
+        expect(credential_ids('netease')).toEqual(['env-1', 'env-2', 'file-1'])
+        expect(pick_credential('netease', 'file-1').cookie).toEqual({ MUSIC_U: 'qr1' })
+    } finally {
+        config.NETEASE_COOKIE = NETEASE_COOKIE
+        config.CREDENTIALS_FILE = CREDENTIALS_FILE
+        clear_credential('netease')
+        await fs.rm(dir, { recursive: true, force: true })
+    }
+})
@@ -0,0 +1,53 @@
+import Providers from "../src/providers/index.js"
+import { build_openapi, examples, swagger_ui } from "../src/service/docs.js"
+import { Hono } from 'hono'
+import { test, expect } from 'vitest'
+
+test('openapi document follows the provider registry', () => {
+    const p = new Providers()
+    const doc = build_openapi(p, { server_url: 'https://meting.example.com' })
+    const params = Object.fromEntries(doc.paths['/api'].get.parameters.map(x => [x.name, x]))
+
+    expect(doc.openapi).toMatch(/^3\./)
+    expect(doc.servers[0].url).toBe('https://meting.example.com')
+    expect(params.server.schema.enum).toEqual([...p.get_provider_list(), 'all'])
+    for (const name of p.get_provider_list()) {
+        for (const type of p.get(name).support_type) {
+            expect(params.type.schema.enum).toContain(type)
+        }
+    }
+    expect(params.id.examples['netease-song'].value).toBe('473403185')
+    expect(doc.info.description).toContain('https://meting.example.com/api?server=netease&type=song&id=473403185')
+})
+
+test('examples only include supported types', () => {
+    const p = new Providers()
+    for (const { server, type } of examples(p)) {
+        expect(p.get(server).support_type).toContain(type)
+    }
+})
+
+test('requests are described per provider', () => {
+    const p = new Providers()
+    const { schemas } = build_openapi(p).components
+    const { mapping } = schemas.ApiRequest.discriminator
+
+    expect(Object.keys(mapping)).toEqual([...p.get_provider_list(), 'all'])
+    expect(schemas.ApiRequest.oneOf.map(x => x.$ref)).toEqual(Object.values(mapping))
+    for (const name of p.get_provider_list()) {
+        const variant = schemas[mapping[name].split('/').pop()]
+        expect(variant.properties.server.enum).toEqual([name])
+        expect(variant.properties.type.enum).toEqual(p.get(name).support_type)
+    }
+    expect(schemas.AllRequest.properties.type.enum).toEqual(['search'])
+    expect(build_openapi(p).paths['/api/batch'].post.requestBody.content['application/json'].schema.items).toEqual({ $ref: '#/components/schemas/ApiRequest' })
+})
+
+test('swagger ui assets are served locally', async () => {
+    const app = new Hono()
+    app.get('/swagger-ui/:file', swagger_ui)
+    const res = await app.request('/swagger-ui/swagger-ui.css')
+    expect(res.status).toBe(200)
+    expect(res.headers.get('content-type')).toContain('text/css')
+    expect((await app.request('/swagger-ui/package.json')).status).toBe(404)
+})
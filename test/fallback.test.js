@@ -0,0 +1,38 @@
+import { find_fallback } from "../src/service/fallback.js"
+import { match_score } from "../src/service/search.js"
+import { fake_providers } from "./helpers.js"
+import { test, expect } from 'vitest'
+
+const song = { title: '晴天', author: '周杰伦', duration: 269000 }
+
+test('match score weighs title, artist and duration', () => {
+    expect(match_score(song, { title: '晴天', author: '周杰伦', duration: 270000 })).toBe(1)
+    expect(match_score(song, { title: '晴天 (Live)', author: '周杰伦', duration: null })).toBeCloseTo(0.8)
+    expect(match_score(song, { title: '雨天', author: '别人', duration: 200000 })).toBeLessThan(0.5)
+})
+
+test('fallback picks the best playable match from other providers', async () => {
+    const p = fake_providers({
+        a: {
+            support_type: ['song', 'url', 'search'],
+            handle: async (type) => type === 'song' ? [{ ...song, id: '1' }] : { url: '', quality: null },
+        },
+        b: {
+            support_type: ['url', 'search'],
+            handle: async (type, id) => type === 'search'
+                ? [{ id: 'x', title: '晴天', author: '别人' }, { id: 'y', title: '晴天', author: '周杰伦', duration: 268000 }]
+                : { url: `https://b/${id}.mp3`, quality: 'standard' },
+        },
+    })
+    const result = await find_fallback(p, { server: 'a', id: '1' })
+    expect(result).toMatchObject({ provider: 'b', id: 'y', url: 'https://b/y.mp3', quality: 'standard' })
+    expect(result.score).toBe(1)
+})
+
+test('fallback gives up without a confident match', async () => {
+    const p = fake_providers({
+        a: { support_type: ['song', 'url'], handle: async () => [{ ...song, title: '稻香', id: '2' }] },
+        b: { support_type: ['url', 'search'], handle: async () => [{ id: 'z', title: '七里香', author: '周杰伦' }] },
+    })
+    expect(await find_fallback(p, { server: 'a', id: '2' })).toBeNull()
+})
@@ -0,0 +1,6 @@
+// 测试共用的 Providers 替身，只实现 resolve、fallback 与 monitor 用到的 get_provider_list 和 get
+// providers 为 { 名称: provider }，provider 按需提供 support_type、handle、check_account 等
+export const fake_providers = (providers) => ({
+    get_provider_list: () => Object.keys(providers),
+    get: (name) => providers[name],
+})
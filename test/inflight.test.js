@@ -0,0 +1,67 @@
+import { single_flight, inflight_stats } from "../src/service/inflight.js"
+import { request } from "../src/providers/netease/util.js"
+import config from "../src/config.js"
+import { test, expect, vi, afterEach } from 'vitest'
+
+const timeout = config.UPSTREAM_TIMEOUT
+
+afterEach(() => {
+    vi.unstubAllGlobals()
+    vi.restoreAllMocks()
+    config.UPSTREAM_TIMEOUT = timeout
+})
+
+test('concurrent calls with the same key share one upstream request', async () => {
+    let release
+    const fn = vi.fn(() => new Promise(resolve => { release = resolve }))
+    const calls = [single_flight('fold', fn), single_flight('fold', fn), single_flight('fold', fn)]
+    expect(inflight_stats().pending).toBe(1)
+    release('value')
+
+    const results = await Promise.all(calls)
+    expect(fn).toHaveBeenCalledTimes(1)
+    expect(results.map(r => r.value)).toEqual(['value', 'value', 'value'])
+    expect(results.map(r => r.shared)).toEqual([false, true, true])
+    expect(results[0].folded).toBe(2)
+    expect(inflight_stats().pending).toBe(0)
+})
+
+test('failures are shared and the key is released afterwards', async () => {
+    const fn = vi.fn(async () => { throw new Error('boom') })
+    const calls = [single_flight('fail', fn), single_flight('fail', fn)]
+    for (const call of calls) {
+        await expect(call).rejects.toThrow('boom')
+    }
+    expect(fn).toHaveBeenCalledTimes(1)
+
+    const next = await single_flight('fail', async () => 'ok')
+    expect(next).toEqual({ value: 'ok', shared: false, folded: 0 })
+})
+
+test('netease requests retry after -460 with backoff', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    const codes = [-460, -460, 200]
+    const fetch = vi.fn(async () => new Response(JSON.stringify({ code: codes.shift() })))
+    vi.stubGlobal('fetch', fetch)
+
+    const start = Date.now()
+    const res = await request('POST', 'https://music.163.com/weapi/test', {}, { crypto: 'weapi', credential: { cookie: {} } })
+    expect(res.code).toBe(200)
+    expect(fetch).toHaveBeenCalledTimes(3)
+    // 两次等待至少 200ms + 400ms
+    expect(Date.now() - start).toBeGreaterThanOrEqual(600)
+})
+
+test('netease retries stop within the upstream timeout', async () => {
+    vi.spyOn(console, 'log').mockImplementation(() => {})
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    config.UPSTREAM_TIMEOUT = 1000
+    const fetch = vi.fn(async () => new Response(JSON.stringify({ code: -460, message: '网络太拥挤，请稍候再试！' })))
+    vi.stubGlobal('fetch', fetch)
+
+    const start = Date.now()
+    const error = await request('POST', 'https://music.163.com/weapi/test', {}, { crypto: 'weapi', credential: { cookie: {} } }).catch(e => e)
+    expect(error.code).toBe('UPSTREAM_THROTTLED')
+    expect(Date.now() - start).toBeLessThan(config.UPSTREAM_TIMEOUT / 2 + 200)
+    expect(fetch.mock.calls.length).toBeLessThan(6)
+})
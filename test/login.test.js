@@ -0,0 +1,106 @@
+import { test, expect, beforeAll, afterAll } from 'vitest'
+import http from 'http'
+import os from 'os'
+import path from 'path'
+import fs from 'fs/promises'
+
+// 本地替身服务模拟网易云扫码登录接口
+let server, dir, polls = 0
+let app, guarded, get_cookie, config, credentials
+// 各请求携带的 Cookie 请求头
+const cookies = []
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        res.setHeader('Content-Type', 'application/json')
+        cookies.push(req.headers.cookie || '')
+        if (req.url === '/weapi/login/qrcode/unikey') {
+            return res.end(JSON.stringify({ code: 200, unikey: 'qr-key' }))
+        }
+        if (req.url === '/weapi/login/qrcode/client/login') {
+            polls++
+            if (polls === 1) return res.end(JSON.stringify({ code: 801, message: '等待扫码' }))
+            res.setHeader('Set-Cookie', ['MUSIC_U=logged-in-session-token; Max-Age=1296000; Path=/', '__csrf=csrf-token; Path=/'])
+            return res.end(JSON.stringify({ code: 803, message: '授权登录成功' }))
+        }
+        res.statusCode = 404
+        res.end('{}')
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'meting-login-'))
+    process.env.NETEASE_ORIGIN = `http://127.0.0.1:${server.address().port}`
+    process.env.CREDENTIALS_FILE = path.join(dir, 'credentials.json')
+
+    const { Hono } = await import('hono')
+    const { login_endpoints } = await import('../src/service/login.js')
+    credentials = await import('../src/service/credentials.js')
+    get_cookie = credentials.get_cookie
+    app = new Hono()
+    app.post('/credentials/netease/qr', login_endpoints.netease_qr)
+    app.get('/credentials/netease/qr/check', login_endpoints.netease_qr_check)
+
+    // 与 app.js 相同的挂载方式
+    const { admin_required } = await import('../src/service/admin.js')
+    config = (await import('../src/config.js')).default
+    guarded = new Hono()
+    guarded.use('/credentials/*', admin_required)
+    guarded.post('/credentials/netease/qr', login_endpoints.netease_qr)
+})
+
+afterAll(async () => {
+    server.close()
+    await fs.rm(dir, { recursive: true, force: true })
+})
+
+test('qr login stores and persists the session', async () => {
+    const created = await (await app.request('/credentials/netease/qr', { method: 'POST' })).json()
+    expect(created).toEqual({ success: true, data: { key: 'qr-key', url: 'https://music.163.com/login?codekey=qr-key' } })
+
+    const waiting = await (await app.request('/credentials/netease/qr/check?key=qr-key')).json()
+    expect(waiting.data.status).toBe('waiting')
+    expect(get_cookie('netease').MUSIC_U).toBeUndefined()
+
+    const done = await (await app.request('/credentials/netease/qr/check?key=qr-key')).json()
+    expect(done.data).toMatchObject({ code: 803, status: 'authorized', credential: { configured: true, accounts: [{ id: 'qr-1', source: 'qr' }] } })
+    expect(get_cookie('netease')).toEqual({ MUSIC_U: 'logged-in-session-token', __csrf: 'csrf-token' })
+
+    const saved = JSON.parse(await fs.readFile(process.env.CREDENTIALS_FILE, 'utf8'))
+    expect(saved.netease).toBe('MUSIC_U=logged-in-session-token; __csrf=csrf-token')
+})
+
+test('check requires a key', async () => {
+    const res = await app.request('/credentials/netease/qr/check')
+    expect(res.status).toBe(400)
+})
+
+test('qr login is refused unless ADMIN_TOKEN is configured', async () => {
+    const before = polls
+    let res = await guarded.request('/credentials/netease/qr', { method: 'POST' })
+    expect(res.status).toBe(403)
+    expect(await res.json()).toMatchObject({ success: false })
+
+    config.ADMIN_TOKEN = 'admin-secret'
+    try {
+        res = await guarded.request('/credentials/netease/qr', { method: 'POST' })
+        expect(res.status).toBe(401)
+        res = await guarded.request('/credentials/netease/qr', { method: 'POST', headers: { Authorization: 'Bearer admin-secret' } })
+        expect(res.status).toBe(200)
+    } finally {
+        config.ADMIN_TOKEN = ''
+    }
+    expect(polls).toBe(before)
+})
+
+test('qr login requests do not use pool accounts', async () => {
+    credentials.set_credential('netease', 'MUSIC_U=pool-account', 'env')
+    cookies.length = 0
+    try {
+        await app.request('/credentials/netease/qr', { method: 'POST' })
+        await app.request('/credentials/netease/qr/check?key=qr-key')
+        expect(cookies).toHaveLength(2)
+        expect(cookies.some(cookie => cookie.includes('pool-account'))).toBe(false)
+        expect(credentials.credential_usage().netease.find(account => account.id === 'env-1').uses).toBe(0)
+    } finally {
+        credentials.clear_credential('netease')
+    }
+})
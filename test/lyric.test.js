@@ -0,0 +1,161 @@
+import { render_lyric, lyric_options } from "../src/lyric/index.js"
+import config from "../src/config.js"
+import { parse_yrc, to_enhanced_lrc, attach_translation, render_karaoke, karaoke_options } from "../src/lyric/karaoke.js"
+import { format } from "../src/util.js"
+import { parse_lrc, stringify_lrc } from "../src/lyric/lrc.js"
+import api from "../src/service/api.js"
+import { Hono } from 'hono'
+import { test, expect, vi, afterEach } from 'vitest'
+
+const lyric = '[00:01.00]第一句\n[00:03.50]第二句\n[00:06.00]'
+const tlyric = '[00:01.00]first\n[00:03.50]second'
+
+afterEach(() => {
+    vi.unstubAllGlobals()
+})
+
+test('lrc output keeps inline translation', () => {
+    expect(format(lyric, tlyric)).toBe('[00:01.000]第一句 (first)\n[00:03.500]第二句 (second)\n[00:06.000]')
+    expect(format(lyric, '')).toBe('[00:01.000]第一句\n[00:03.500]第二句\n[00:06.000]')
+    expect(format('纯音乐，请欣赏', '')).toBe('纯音乐，请欣赏')
+})
+
+test('json output', () => {
+    expect(render_lyric({ lyric, tlyric }, { format: 'json' }).body).toEqual([
+        { time: 1000, text: '第一句', translation: 'first' },
+        { time: 3500, text: '第二句', translation: 'second' },
+        { time: 6000, text: '', translation: null },
+    ])
+})
+
+test('caption outputs end at the next line', () => {
+    expect(render_lyric({ lyric, tlyric }, { format: 'srt' }).body).toBe(
+        '1\n00:00:01,000 --> 00:00:03,500\n第一句\nfirst\n\n' +
+        '2\n00:00:03,500 --> 00:00:06,000\n第二句\nsecond\n'
+    )
+    const vtt = render_lyric({ lyric }, { format: 'vtt' })
+    expect(vtt.content_type).toMatch(/^text\/vtt/)
+    expect(vtt.body).toBe('WEBVTT\n\n00:00:01.000 --> 00:00:03.500\n第一句\n\n00:00:03.500 --> 00:00:06.000\n第二句\n')
+})
+
+test('unknown format is rejected', () => {
+    expect(() => render_lyric({ lyric }, { format: 'ass' })).toThrow(/lrcformat/)
+})
+
+test('lyric modes and romanization layer', () => {
+    const data = { lyric, tlyric, rlyric: '[00:01.00]dai ichi ku' }
+    expect(render_lyric(data, { mode: 'original' }).body).toBe('[00:01.000]第一句\n[00:03.500]第二句\n[00:06.000]')
+    expect(render_lyric(data, { mode: 'translation' }).body).toBe('[00:01.000]first\n[00:03.500]second\n[00:06.000]')
+    expect(render_lyric(data, { mode: 'separate', roma: true }).body).toBe(
+        '[00:01.000]第一句\n[00:01.000]dai ichi ku\n[00:01.000]first\n[00:03.500]第二句\n[00:03.500]second\n[00:06.000]'
+    )
+    expect(render_lyric(data, { roma: true }).body.split('\n')[0]).toBe('[00:01.000]第一句 (dai ichi ku / first)')
+    expect(render_lyric(data, { format: 'json', roma: true }).body[1]).toEqual({ time: 3500, text: '第二句', translation: 'second', romanization: null })
+})
+
+test('karaoke parsers and enhanced lrc', () => {
+    const yrc = '{"t":0,"c":[{"tx":"作词: "}]}\n[1000,2000](1000,500,0)第(1500,500,0)一(2000,1000,0)句'
+    const lines = parse_yrc(yrc)
+    expect(lines).toEqual([{
+        start: 1000,
+        duration: 2000,
+        text: '第一句',
+        translation: null,
+        words: [
+            { start: 1000, duration: 500, text: '第' },
+            { start: 1500, duration: 500, text: '一' },
+            { start: 2000, duration: 1000, text: '句' },
+        ],
+    }])
+    expect(to_enhanced_lrc(lines)).toBe('[00:01.00]<00:01.00>第<00:01.50>一<00:02.00>句<00:03.00>')
+    expect(attach_translation(lines, [{ time: 1000, text: 'first' }])[0].translation).toBe('first')
+    expect(render_karaoke({ source: 'yrc', lines }).body.lines).toBe(lines)
+    expect(() => render_karaoke({ lines }, { format: 'srt' })).toThrow(/lrcformat/)
+})
+
+test('yrc words may contain parentheses', () => {
+    const [line] = parse_yrc('[0,3000](0,1000,0)晴天 (1000,2000,0)(Live)')
+    expect(line.words.map(word => word.text)).toEqual(['晴天 ', '(Live)'])
+    expect(line.text).toBe('晴天 (Live)')
+})
+
+test('karaoke translations align within tolerance', () => {
+    const lines = parse_yrc('[1000,2000](1000,2000,0)第一句\n[3000,2000](3000,2000,0)第二句')
+    const translated = attach_translation(lines, [{ time: 1030, text: 'first' }, { time: 2940, text: 'second' }, { time: 9000, text: 'far' }])
+    expect(translated.map(line => line.translation)).toEqual(['first', 'second'])
+    expect(attach_translation(lines, [{ time: 1030, text: 'first' }], 10)[0].translation).toBeNull()
+})
+
+test('karaoke output applies lrcoffset', () => {
+    const data = { source: 'yrc', lines: parse_yrc('[1000,2000](1000,500,0)第(1500,1500,0)一') }
+    expect(render_karaoke(data, { format: 'lrc', offset: 500 }).body).toBe('[00:00.50]<00:00.50>第<00:01.00>一<00:02.50>')
+    const { body } = render_karaoke(data, { offset: -250 })
+    expect(body.lines[0]).toMatchObject({ start: 1250, words: [{ start: 1250 }, { start: 1750 }] })
+    expect(data.lines[0].start).toBe(1000)
+    expect(render_karaoke(data, { offset: 5000 }).body.lines[0].start).toBe(0)
+})
+
+test('lrc parser handles tags, offsets and loose timestamps', () => {
+    const doc = parse_lrc('[ti:歌名]\r\n[ar:歌手]\n[offset:500]\n[00:12.00][01:30.5]副歌\n[00:03]无小数\n[100:00.05]长\n[00:02:40]冒号\n无时间标签')
+    expect(doc.meta).toEqual({ ti: '歌名', ar: '歌手' })
+    expect(doc.lines).toEqual([
+        { time: 1900, text: '冒号' },
+        { time: 2500, text: '无小数' },
+        { time: 11500, text: '副歌' },
+        { time: 90000, text: '副歌' },
+        { time: 5999550, text: '长' },
+    ])
+    expect(stringify_lrc(doc).split('\n').slice(0, 3)).toEqual(['[ti:歌名]', '[ar:歌手]', '[00:01.900]冒号'])
+    expect(stringify_lrc(doc).split('\n').pop()).toBe('[99:59.550]长')
+    expect(format('[ti:歌名]\n[00:01.00][00:05.00]重复', '[00:05.00]repeat')).toBe('[ti:歌名]\n[00:01.000]重复\n[00:05.000]重复 (repeat)')
+})
+
+test('translations align within tolerance and report leftovers', () => {
+    const original = '[00:01.00]一\n[00:02.00]二\n[00:03.00]三'
+    const translation = '[00:00.97]one\n[00:02.04]two\n[00:02.06]extra\n[00:05.00]far'
+    const { body, unmatched } = render_lyric({ lyric: original, tlyric: translation }, { format: 'json' })
+    expect(body.map(line => line.translation)).toEqual(['one', 'two', null])
+    expect(unmatched).toEqual([{ time: 2060, text: 'extra' }, { time: 5000, text: 'far' }])
+    expect(render_lyric({ lyric: original, tlyric: translation }, { format: 'json', tolerance: 0 }).unmatched).toHaveLength(4)
+})
+
+test('alignment tolerance defaults to LYRIC_ALIGN_TOLERANCE', () => {
+    const tolerance = config.LYRIC_ALIGN_TOLERANCE
+    const data = { lyric: '[00:01.00]第一句', tlyric: '[00:01.05]first' }
+    const lines = parse_yrc('[1000,2000](1000,2000,0)第一句')
+    try {
+        config.LYRIC_ALIGN_TOLERANCE = 10
+        expect(render_lyric(data, { format: 'json' }).body[0].translation).toBeNull()
+        expect(attach_translation(lines, [{ time: 1050, text: 'first' }])[0].translation).toBeNull()
+        config.LYRIC_ALIGN_TOLERANCE = 100
+        expect(render_lyric(data, { format: 'json' }).body[0].translation).toBe('first')
+        expect(attach_translation(lines, [{ time: 1050, text: 'first' }])[0].translation).toBe('first')
+    } finally {
+        config.LYRIC_ALIGN_TOLERANCE = tolerance
+    }
+})
+
+test('lrcoffset shifts the output', () => {
+    const options = lyric_options({ lrcoffset: '500' })
+    expect(render_lyric({ lyric }, options).body).toBe('[00:00.500]第一句\n[00:03.000]第二句\n[00:05.500]')
+    expect(render_lyric({ lyric }, lyric_options({ lrcoffset: '-1000' })).body.split('\n')[0]).toBe('[00:02.000]第一句')
+    expect(() => lyric_options({ lrcoffset: 'abc' })).toThrow(/lrcoffset/)
+})
+
+test('lyric options are validated before the upstream request', async () => {
+    expect(() => lyric_options({ lrcformat: 'ass' })).toThrow(/lrcformat/)
+    expect(() => lyric_options({ lrcmode: 'nope' })).toThrow(/lrcmode/)
+    expect(() => karaoke_options({ lrcformat: 'srt' })).toThrow(/lrcformat/)
+    expect(karaoke_options({ lrcoffset: '200' })).toEqual({ format: 'json', offset: 200 })
+
+    const fetch = vi.fn(async () => new Response(JSON.stringify({ code: 200, lrc: { lyric } })))
+    vi.stubGlobal('fetch', fetch)
+    const app = new Hono()
+    app.get('/api', api)
+    for (const query of ['type=lrc&lrcformat=ass', 'type=lrc&lrcmode=nope', 'type=lrc&lrcoffset=abc', 'type=klrc&lrcformat=srt']) {
+        const res = await app.request(`http://localhost/api?server=netease&id=186016&${query}`)
+        expect(res.status).toBe(400)
+        expect((await res.json()).code).toBe('INVALID_PARAM')
+    }
+    expect(fetch).not.toHaveBeenCalled()
+})
@@ -0,0 +1,84 @@
+import { check_credential, credential_health } from "../src/service/monitor.js"
+import { set_credential, clear_credential } from "../src/service/credentials.js"
+import config from "../src/config.js"
+import { fake_providers } from "./helpers.js"
+import { test, expect, afterAll } from 'vitest'
+import http from 'http'
+
+const DAY = 86400000
+
+afterAll(() => {
+    clear_credential('netease')
+})
+
+test('unconfigured providers are not checked', async () => {
+    const p = fake_providers({ tencent: { handle: async () => { throw new Error('should not be called') } } })
+    expect(await check_credential(p, 'tencent')).toMatchObject([{ provider: 'tencent', configured: false, status: 'unconfigured' }])
+})
+
+test('credential degradation is recorded and posted to the webhook', async () => {
+    const posted = []
+    const server = http.createServer((req, res) => {
+        let body = ''
+        req.on('data', chunk => body += chunk)
+        req.on('end', () => {
+            posted.push(JSON.parse(body))
+            res.end('ok')
+        })
+    })
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+    config.CREDENTIAL_WEBHOOK = `http://127.0.0.1:${server.address().port}/hook`
+
+    set_credential('netease', 'MUSIC_U=session', 'env')
+    let account = { logged_in: true, nickname: 'tester', vip: true, vip_level: 7, vip_expires: Date.now() + 30 * DAY }
+    let playable = true
+    const p = fake_providers({
+        netease: {
+            check_account: async () => account,
+            handle: async (type, id) => playable
+                ? { url: `https://m/${id}.flac`, quality: 'exhigh' }
+                : { url: `https://music.163.com/song/media/outer/url?id=${id}.mp3`, quality: 'standard', outer: true },
+        },
+    })
+
+    try {
+        const [healthy] = await check_credential(p, 'netease')
+        expect(healthy).toMatchObject({
+            account_id: 'env-1',
+            status: 'ok',
+            warnings: [],
+            account: { logged_in: true, nickname: 'tester', vip: true, vip_level: 7 },
+            playback: { id: '473403185', playable: true, quality: 'exhigh' },
+        })
+        expect(posted).toHaveLength(0)
+
+        playable = false
+        account = { ...account, vip_expires: Date.now() + 2 * DAY + 1000 }
+        const [degraded] = await check_credential(p, 'netease')
+        expect(degraded.status).toBe('degraded')
+        expect(degraded.warnings).toEqual(['示例歌曲 473403185 无法播放', '会员将在 2 天内到期'])
+        expect(posted).toHaveLength(1)
+        expect(posted[0]).toMatchObject({ provider: 'netease', account_id: 'env-1', status: 'degraded', previous: 'ok' })
+
+        // 状态未变化时不重复通知
+        await check_credential(p, 'netease')
+        expect(posted).toHaveLength(1)
+
+        account = { logged_in: false }
+        expect((await check_credential(p, 'netease'))[0].status).toBe('expired')
+        expect(posted[1]).toMatchObject({ status: 'expired', previous: 'degraded' })
+        expect(credential_health().find(x => x.provider === 'netease').status).toBe('expired')
+    } finally {
+        config.CREDENTIAL_WEBHOOK = ''
+        server.close()
+    }
+})
+
+test('failed checks keep the last known account', async () => {
+    set_credential('netease', 'MUSIC_U=session', 'env')
+    const p = fake_providers({ netease: { check_account: async () => { throw new Error('network down') }, handle: async () => ({}) } })
+    const [record] = await check_credential(p, 'netease')
+    expect(record.status).toBe('error')
+    expect(record.warnings[0]).toContain('检查失败')
+    expect(record.account).toEqual({ logged_in: false, nickname: null, vip: null, vip_level: null, vip_expires: null })
+})
@@ -0,0 +1,88 @@
+import { render_output } from "../src/output/index.js"
+import { create_seen_store, feed_dates } from "../src/service/feed.js"
+import { create_memory_backend, get_backend, use_backend } from "../src/service/cache.js"
+import { test, expect } from 'vitest'
+import os from 'os'
+import path from 'path'
+import fs from 'fs/promises'
+
+const songs = [
+    { title: 'A & B', author: '歌手', url: 'https://x/api?server=netease&type=url&id=1&proxy=1', pic: 'https://x/api?server=netease&type=pic&id=1', lrc: '' },
+]
+const options = { type: 'playlist', server: 'netease', id: '123' }
+
+test('m3u8 output', () => {
+    const { body, content_type, content_disposition } = render_output(songs, { ...options, format: 'm3u8' })
+    expect(body).toBe('#EXTM3U\n#PLAYLIST:netease playlist 123\n#EXTINF:-1,歌手 - A & B\n#EXTIMG:https://x/api?server=netease&type=pic&id=1\nhttps://x/api?server=netease&type=url&id=1&proxy=1\n')
+    expect(content_type).toMatch(/^audio\/x-mpegurl/)
+    expect(content_disposition).toBe(`attachment; filename="netease-playlist-123.m3u8"; filename*=UTF-8''netease-playlist-123.m3u8`)
+})
+
+test('xspf and jspf output', () => {
+    const xspf = render_output(songs, { ...options, format: 'xspf' }).body
+    expect(xspf).toContain('<location>https://x/api?server=netease&amp;type=url&amp;id=1&amp;proxy=1</location>')
+    expect(xspf).toContain('<title>A &amp; B</title>')
+    const jspf = JSON.parse(render_output(songs, { ...options, format: 'jspf' }).body)
+    expect(jspf.playlist.track[0]).toEqual({ location: [songs[0].url], title: 'A & B', creator: '歌手', image: songs[0].pic })
+})
+
+test('output is limited to list types', () => {
+    expect(() => render_output(songs, { ...options, format: 'pls' })).toThrow(/output/)
+    expect(() => render_output(songs, { ...options, type: 'lrc', format: 'm3u8' })).toThrow(/output/)
+})
+
+test('rss and atom feeds for playlists', () => {
+    const feed = { ...options, link: 'https://x/api?server=netease&type=playlist&id=123&output=rss', ids: ['1'] }
+    const rss = render_output(songs, { ...feed, format: 'rss' })
+    expect(rss.content_type).toMatch(/^application\/rss\+xml/)
+    expect(rss.content_disposition).toBeNull()
+    expect(rss.body).toContain('<enclosure url="https://x/api?server=netease&amp;type=url&amp;id=1&amp;proxy=1" length="0" type="audio/mpeg"/>')
+    expect(rss.body).toContain('<guid isPermaLink="false">urn:meting:netease:song:1</guid>')
+    expect(rss.body).toContain('<itunes:image href="https://x/api?server=netease&amp;type=pic&amp;id=1"/>')
+    const atom = render_output(songs, { ...feed, format: 'atom' }).body
+    expect(atom).toContain('<id>urn:meting:netease:song:1</id>')
+    expect(atom).toContain('<link rel="enclosure"')
+    expect(() => render_output(songs, { ...feed, type: 'search', format: 'rss' })).toThrow(/playlist/)
+})
+
+test('feed items use the time they were added or first seen', () => {
+    const now = Date.UTC(2026, 0, 2)
+    const feed = { ...options, format: 'rss', link: 'https://x/', ids: ['1', '2'], now }
+    const list = [{ ...songs[0], added: '2025-03-04T05:06:07.000Z' }, songs[0]]
+    const rss = render_output(list, { ...feed, dates: [null, Date.UTC(2025, 5, 1)] }).body
+    expect(rss).toContain('<pubDate>Tue, 04 Mar 2025 05:06:07 GMT</pubDate>')
+    expect(rss).toContain('<pubDate>Sun, 01 Jun 2025 00:00:00 GMT</pubDate>')
+})
+
+test('first seen times are kept in their own store', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'meting-feed-'))
+    const file = path.join(dir, 'seen.json')
+    const store = create_seen_store(file)
+    const list = [{ id: '1' }, { id: '2', added: '2025-03-04T05:06:07.000Z' }]
+    expect(await feed_dates(list, { server: 'netease', ids: ['1', '2'], now: 1000, store })).toEqual([1000, null])
+
+    // 缓存清空后不受影响
+    const original = get_backend()
+    const backend = create_memory_backend(1)
+    use_backend(backend)
+    await backend.clear()
+    const later = await feed_dates([{ id: '3' }, ...list], { server: 'netease', ids: ['3', '1', '2'], now: 5000, store })
+    use_backend(original)
+    expect(later).toEqual([5000, 1000, null])
+    expect(await backend.entries()).toEqual([])
+
+    // 重启后从文件恢复
+    const restarted = create_seen_store(file)
+    expect(await feed_dates(list, { server: 'netease', ids: ['1', '2'], now: 9000, store: restarted })).toEqual([1000, null])
+    await fs.rm(dir, { recursive: true, force: true })
+})
+
+test('first seen times expire after a year without being seen', async () => {
+    const store = create_seen_store('')
+    const year = 365 * 86400 * 1000
+    expect(await store.touch(['a', 'b'], 0)).toEqual([0, 0])
+    expect(await store.touch(['a'], year - 1)).toEqual([0])
+    expect(await store.touch(['c'], year + 1)).toEqual([year + 1])
+    expect(store.size()).toBe(2)
+    expect(await store.touch(['b'], year + 2)).toEqual([year + 2])
+})
@@ -0,0 +1,79 @@
+import { parse_page, resolve } from "../src/service/resolve.js"
+import { create_memory_backend, get_backend, use_backend } from "../src/service/cache.js"
+import config from "../src/config.js"
+import { fake_providers } from "./helpers.js"
+import { test, expect, vi, afterEach } from 'vitest'
+
+const songs = (n) => Array.from({ length: n }, (_, i) => ({ title: `歌 ${i + 1}` }))
+
+const netease = (handle) => fake_providers({ netease: { support_type: ['playlist', 'search', 'song'], handle } })
+
+const original_backend = get_backend()
+
+afterEach(() => {
+    use_backend(original_backend)
+})
+
+test('parse_page applies defaults and caps limit', () => {
+    expect(parse_page('song', { limit: '10' })).toBeNull()
+    expect(parse_page('search')).toEqual({ limit: 30, offset: 0 })
+    expect(parse_page('playlist')).toEqual({ limit: config.PAGE_LIMIT_MAX, offset: 0 })
+    expect(parse_page('playlist', { limit: String(config.PAGE_LIMIT_MAX + 1) })).toEqual({ limit: config.PAGE_LIMIT_MAX, offset: 0 })
+})
+
+test('parse_page converts page to offset and prefers offset', () => {
+    expect(parse_page('playlist', { limit: '20', page: '3' })).toEqual({ limit: 20, offset: 40 })
+    expect(parse_page('playlist', { limit: '20', page: '3', offset: '5' })).toEqual({ limit: 20, offset: 5 })
+    expect(parse_page('playlist', { limit: '', offset: '', page: '' })).toEqual({ limit: config.PAGE_LIMIT_MAX, offset: 0 })
+})
+
+test('parse_page rejects invalid values', () => {
+    for (const query of [{ limit: '0' }, { limit: 'abc' }, { limit: '1.5' }, { offset: '-1' }, { page: '0' }]) {
+        expect(() => parse_page('playlist', query)).toThrow(expect.objectContaining({ code: 'INVALID_PARAM' }))
+    }
+})
+
+test('array results are sliced with total and hasMore', async () => {
+    use_backend(create_memory_backend())
+    const p = netease(async () => songs(5))
+
+    let result = await resolve(p, { server: 'netease', type: 'playlist', id: '1', limit: '2', page: '2' })
+    expect(result.data.map(x => x.title)).toEqual(['歌 3', '歌 4'])
+    expect(result.total).toBe(5)
+    expect(result.hasMore).toBe(true)
+
+    result = await resolve(p, { server: 'netease', type: 'playlist', id: '1', limit: '2', page: '3' })
+    expect(result.data.map(x => x.title)).toEqual(['歌 5'])
+    expect(result.hasMore).toBe(false)
+
+    result = await resolve(p, { server: 'netease', type: 'playlist', id: '1', offset: '10' })
+    expect(result.data).toEqual([])
+    expect(result.hasMore).toBe(false)
+})
+
+test('provider pages are passed through with their total', async () => {
+    use_backend(create_memory_backend())
+    const handle = vi.fn(async (type, id, { limit, offset }) => ({ songs: songs(offset + limit).slice(offset), total: 100 }))
+    const p = netease(handle)
+
+    const result = await resolve(p, { server: 'netease', type: 'search', id: '晴天', limit: '10', page: '2' })
+    expect(handle).toHaveBeenCalledWith('search', '晴天', { limit: 10, offset: 10 })
+    expect(result.data).toHaveLength(10)
+    expect(result.data[0].title).toBe('歌 11')
+    expect(result.total).toBe(100)
+    expect(result.hasMore).toBe(true)
+})
+
+test('each page is cached under its own key', async () => {
+    const backend = create_memory_backend()
+    use_backend(backend)
+    const handle = vi.fn(async (type, id, { limit, offset }) => ({ songs: songs(offset + limit).slice(offset), total: 100 }))
+    const p = netease(handle)
+
+    await resolve(p, { server: 'netease', type: 'search', id: 'q', limit: '10', page: '1' })
+    await resolve(p, { server: 'netease', type: 'search', id: 'q', limit: '10', page: '2' })
+    const hit = await resolve(p, { server: 'netease', type: 'search', id: 'q', limit: '10', offset: '10' })
+    expect(hit.cache).toBe('HIT')
+    expect(handle).toHaveBeenCalledTimes(2)
+    expect((await backend.entries()).map(e => e.key).sort()).toEqual(['netease:search:q#0,10', 'netease:search:q#10,10'])
+})
@@ -25,6 +25,16 @@ test('test provider support_type', () => {
     })
 })
 
+test('test api error body', async () => {
+    let res = await app.request('http://localhost:3000/api?server=unknown&type=song&id=1')
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ status: 400, code: 'INVALID_PARAM' })
+
+    res = await app.request('http://localhost:3000/api?server=netease&type=song&id=abc')
+    expect(res.status).toBe(400)
+    expect(await res.json()).toMatchObject({ status: 400, code: 'INVALID_ID', param: { server: 'netease', type: 'song', id: 'abc' } })
+})
+
 const YT_API = globalThis?.Deno?.env?.get("YT_API") || globalThis?.process?.env?.YT_API
 
 test('test api', async () => {
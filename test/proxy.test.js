@@ -0,0 +1,88 @@
+import { proxy_audio, proxy_stats } from "../src/service/proxy.js"
+import { error_body, to_meting_error } from "../src/errors.js"
+import config from "../src/config.js"
+import { Hono } from 'hono'
+import { test, expect, vi, afterEach } from 'vitest'
+
+const app = new Hono()
+app.on(['GET', 'HEAD'], '/proxy', (ctx) => proxy_audio(ctx, ctx.req.query('url')))
+app.onError((err, ctx) => {
+    const error = to_meting_error(err)
+    return ctx.json(error_body(error), error.status)
+})
+
+// 把 chunks 依次作为响应体返回
+const body_of = (chunks) => new ReadableStream({
+    pull(controller) {
+        if (chunks.length) controller.enqueue(chunks.shift())
+        else controller.close()
+    },
+})
+
+afterEach(() => {
+    vi.unstubAllGlobals()
+    config.PROXY_BANDWIDTH = 0
+})
+
+test('range requests are forwarded and partial content is passed through', async () => {
+    let forwarded
+    vi.stubGlobal('fetch', async (url, init) => {
+        forwarded = { url, ...init }
+        return new Response(body_of([new Uint8Array([1, 2, 3, 4])]), {
+            status: 206,
+            headers: { 'Content-Type': 'audio/mpeg', 'Content-Range': 'bytes 0-3/100', 'Content-Length': '4', 'Set-Cookie': 'x=1' },
+        })
+    })
+
+    const res = await app.request('/proxy?url=https://m.example/a.mp3', { headers: { Range: 'bytes=0-3', Cookie: 'secret=1' } })
+    expect(forwarded.url).toBe('https://m.example/a.mp3')
+    expect(forwarded.headers).toMatchObject({ range: 'bytes=0-3' })
+    expect(forwarded.headers.cookie).toBeUndefined()
+    expect(res.status).toBe(206)
+    expect(res.headers.get('content-range')).toBe('bytes 0-3/100')
+    expect(res.headers.get('accept-ranges')).toBe('bytes')
+    expect(res.headers.get('set-cookie')).toBeNull()
+    expect([...new Uint8Array(await res.arrayBuffer())]).toEqual([1, 2, 3, 4])
+    expect(proxy_stats().active).toBe(0)
+})
+
+test('bandwidth is limited by the shared token bucket', async () => {
+    config.PROXY_BANDWIDTH = 20000
+    vi.stubGlobal('fetch', async () => new Response(body_of([1, 2, 3, 4].map(() => new Uint8Array(10000)))))
+
+    const start = Date.now()
+    const res = await app.request('/proxy?url=https://m.example/b.mp3')
+    expect((await res.arrayBuffer()).byteLength).toBe(40000)
+    // 桶内最多积攒 1 秒的令牌，40000 字节至少需要再等 1 秒
+    expect(Date.now() - start).toBeGreaterThanOrEqual(900)
+})
+
+test('upstream failures map to error bodies and release the stream slot', async () => {
+    vi.stubGlobal('fetch', async () => new Response('gone', { status: 403 }))
+    let res = await app.request('/proxy?url=https://m.example/c.mp3')
+    expect(res.status).toBe(502)
+    expect(await res.json()).toMatchObject({ code: 'UPSTREAM_ERROR', detail: { status: 403 } })
+
+    vi.stubGlobal('fetch', async () => { throw new TypeError('fetch failed') })
+    res = await app.request('/proxy?url=https://m.example/d.mp3')
+    expect(res.status).toBe(502)
+
+    res = await app.request('/proxy?url=@qq_get_url_from_json@callback@callback@https://u.y.qq.com')
+    expect(res.status).toBe(403)
+    expect(proxy_stats().active).toBe(0)
+})
+
+test('streams beyond PROXY_MAX_STREAMS are rejected', async () => {
+    vi.stubGlobal('fetch', async () => new Response(new ReadableStream({ pull() {} })))
+    const open = []
+    for (let i = 0; i < config.PROXY_MAX_STREAMS; i++) {
+        open.push(await app.request('/proxy?url=https://m.example/e.mp3'))
+    }
+    const res = await app.request('/proxy?url=https://m.example/e.mp3')
+    expect(res.status).toBe(503)
+    expect(await res.json()).toMatchObject({ code: 'PROXY_BUSY' })
+
+    // 客户端断开后释放名额
+    await Promise.all(open.map(response => response.body.cancel()))
+    expect(proxy_stats().active).toBe(0)
+})
@@ -0,0 +1,51 @@
+import { parse_quality, fallback_qualities } from "../src/quality.js"
+import { cache_key } from "../src/service/cache.js"
+import { get_song_url } from "../src/providers/netease/song.js"
+import { test, expect, vi, afterEach } from 'vitest'
+
+afterEach(() => {
+    vi.unstubAllGlobals()
+})
+
+// 网易云 eapi 请求，记录请求次数并返回预设结果
+const stub_netease = (body) => {
+    const calls = []
+    vi.stubGlobal('fetch', async (url, init) => {
+        calls.push(url)
+        return new Response(JSON.stringify(body))
+    })
+    return calls
+}
+
+test('quality and br parameters', () => {
+    expect(parse_quality({})).toBe('standard')
+    expect(parse_quality({ quality: 'lossless' })).toBe('lossless')
+    expect(parse_quality({ br: '320000' })).toBe('exhigh')
+    expect(parse_quality({ br: '192' })).toBe('higher')
+    expect(parse_quality({ br: '1999000' })).toBe('hires')
+    expect(parse_quality({ quality: 'hires', br: '128000' })).toBe('hires')
+    expect(() => parse_quality({ quality: 'best' })).toThrow(/quality/)
+})
+
+test('fallback goes from the requested quality downwards', () => {
+    expect(fallback_qualities('lossless')).toEqual(['lossless', 'exhigh', 'higher', 'standard'])
+    expect(fallback_qualities('standard')).toEqual(['standard'])
+    expect(cache_key('netease', 'url', '1', null, 'exhigh')).toBe('netease:url:1#exhigh')
+})
+
+test('netease url is one request and reports the level actually served', async () => {
+    const calls = stub_netease({ code: 200, data: [{ url: 'http://m801.music.126.net/a.mp3', level: 'exhigh' }] })
+    expect(await get_song_url('1', { quality: 'lossless' })).toEqual({ url: 'https://m801.music.126.net/a.mp3', quality: 'exhigh' })
+    expect(calls).toHaveLength(1)
+})
+
+test('netease outer link has no quality', async () => {
+    const calls = stub_netease({ code: 200, data: [{ url: null }] })
+    expect(await get_song_url('2', { quality: 'hires' })).toEqual({ url: 'https://music.163.com/song/media/outer/url?id=2.mp3', quality: null, outer: true })
+    expect(calls).toHaveLength(1)
+})
+
+test('netease url errors are not swallowed', async () => {
+    stub_netease({ code: 405, message: '操作频繁' })
+    await expect(get_song_url('3')).rejects.toMatchObject({ code: 'UPSTREAM_THROTTLED' })
+})
@@ -0,0 +1,69 @@
+import { merge_results } from "../src/service/search.js"
+import { resolve } from "../src/service/resolve.js"
+import { UpstreamThrottledError } from "../src/errors.js"
+import { fake_providers } from "./helpers.js"
+import { test, expect, vi } from 'vitest'
+
+const song = (title, author = '周杰伦') => ({ title, author })
+
+// handle 按 provider 返回结果或抛出错误
+const searching = (handlers) => fake_providers(Object.fromEntries(Object.entries(handlers).map(([name, handler]) => [
+    name,
+    { support_type: ['search'], handle: async (type, id, options) => handler(id, options) },
+])))
+
+test('merge_results interleaves providers by rank', () => {
+    const merged = merge_results([
+        { provider: 'netease', songs: [song('晴天'), song('七里香')] },
+        { provider: 'tencent', songs: [song('稻香'), song('夜曲'), song('枫')] },
+    ])
+    expect(merged.map(x => `${x.provider}:${x.title}`)).toEqual([
+        'netease:晴天', 'tencent:稻香', 'netease:七里香', 'tencent:夜曲', 'tencent:枫',
+    ])
+})
+
+test('merge_results keeps the highest ranked duplicate', () => {
+    const merged = merge_results([
+        { provider: 'netease', songs: [song('晴天'), song('Ｌｏｖｅ Story', 'Taylor Swift')] },
+        { provider: 'tencent', songs: [song('love story', 'taylor swift'), song(' 晴天 ')] },
+    ])
+    expect(merged.map(x => `${x.provider}:${x.title}`)).toEqual(['netease:晴天', 'tencent:love story'])
+})
+
+test('server=all search merges providers and sums totals', async () => {
+    const p = searching({
+        netease: () => [song('晴天'), song('七里香'), song('稻香')],
+        tencent: () => [song('晴天'), song('夜曲')],
+    })
+    const result = await resolve(p, { server: 'all', type: 'search', id: 'all-merge', limit: '2' })
+    expect(result.data.map(x => `${x.provider}:${x.title}`)).toEqual(['netease:晴天', 'netease:七里香', 'tencent:夜曲'])
+    expect(result.total).toBe(5)
+    expect(result.hasMore).toBe(true)
+    expect(result.providers).toEqual(['netease', 'tencent'])
+    expect(result.failed).toEqual([])
+})
+
+test('server=all search returns partial results when a provider fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const p = searching({
+        netease: () => { throw new UpstreamThrottledError('网易云请求过于频繁') },
+        tencent: () => [song('夜曲')],
+    })
+    const result = await resolve(p, { server: 'all', type: 'search', id: 'all-partial' })
+    expect(result.data).toEqual([{ ...song('夜曲'), provider: 'tencent' }])
+    expect(result.providers).toEqual(['tencent'])
+    expect(result.failed).toEqual([{ provider: 'netease', code: 'UPSTREAM_THROTTLED', message: '网易云请求过于频繁' }])
+    vi.restoreAllMocks()
+})
+
+test('server=all search fails when every provider fails', async () => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+    const p = searching({
+        netease: () => { throw new UpstreamThrottledError('网易云请求过于频繁') },
+        tencent: () => { throw new Error('boom') },
+    })
+    const error = await resolve(p, { server: 'all', type: 'search', id: 'all-failed' }).catch(e => e)
+    expect(error.code).toBe('UPSTREAM_ERROR')
+    expect(error.detail.map(x => x.provider)).toEqual(['netease', 'tencent'])
+    vi.restoreAllMocks()
+})
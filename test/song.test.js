@@ -0,0 +1,57 @@
+import { map_song_list } from "../src/providers/netease/util.js"
+import { map_song } from "../src/providers/tencent/util.js"
+import { get_playlist } from "../src/providers/netease/playlist.js"
+import { apply_schema, from_external } from "../src/song.js"
+import { test, expect, vi } from 'vitest'
+
+const netease = map_song_list({
+    songs: [{
+        id: 473403185,
+        name: '歌名',
+        ar: [{ name: '甲' }, { name: '乙' }],
+        al: { id: 35, name: '专辑', picUrl: 'https://p1.music.126.net/a.jpg' },
+        dt: 215000,
+        fee: 1,
+        mark: 1048576,
+    }],
+})[0]
+
+test('netease songs map into the common model', () => {
+    expect(netease).toEqual({
+        id: '473403185',
+        provider: 'netease',
+        title: '歌名',
+        author: '甲 / 乙',
+        album: '专辑',
+        album_id: '35',
+        duration: 215000,
+        published: null,
+        added: null,
+        explicit: true,
+        vip: true,
+        link: 'https://music.163.com/song?id=473403185',
+        pic: 'https://p1.music.126.net/a.jpg',
+        url: 473403185,
+        lrc: 473403185,
+    })
+})
+
+test('default schema keeps the aplayer shape', () => {
+    const tencent = map_song({ mid: '002Rnpvi058Qdm', name: 'x', singer: [{ name: 'y' }], album: { mid: 'm', name: 'a' }, interval: 200 })
+    expect(tencent.duration).toBe(200000)
+    expect(apply_schema([netease])).toEqual([{ title: '歌名', author: '甲 / 乙', url: 473403185, pic: 'https://p1.music.126.net/a.jpg', lrc: 473403185 }])
+    expect(Object.keys(apply_schema([tencent])[0])).toEqual(['title', 'author', 'url', 'pic', 'lrc', 'songmid'])
+    expect(apply_schema([netease], '', { server: 'all' })[0].provider).toBe('netease')
+    expect(apply_schema([netease], 'full')[0]).toBe(netease)
+    expect(() => apply_schema([netease], 'short')).toThrow(/schema/)
+    expect(from_external({ name: 'n', artist: 'a', url: 'https://x' }, 'ytmusic')).toMatchObject({ title: 'n', author: 'a', provider: 'ytmusic', url: 'https://x' })
+})
+
+test('netease playlist songs carry the time they were added', async () => {
+    vi.stubGlobal('fetch', async (url) => new Response(JSON.stringify(url.includes('playlist/detail')
+        ? { code: 200, playlist: { trackIds: [{ id: 1, at: Date.UTC(2025, 2, 4) }, { id: 2 }] } }
+        : { code: 200, songs: [{ id: 1, name: '一', ar: [] }, { id: 2, name: '二', ar: [] }] })))
+    const { songs } = await get_playlist('123')
+    vi.unstubAllGlobals()
+    expect(songs.map(song => song.added)).toEqual(['2025-03-04T00:00:00.000Z', null])
+})
@@ -0,0 +1,99 @@
+import Providers from "../src/providers/index.js"
+import { test, expect, vi, afterEach } from 'vitest'
+
+const track = (mid, name) => ({
+    mid,
+    name,
+    singer: [{ name: '周杰伦' }],
+    album: { mid: 'al1', name: '叶惠美' },
+    interval: 269,
+    pay: { pay_play: 1 },
+})
+
+// 记录 musicu 请求并按 module 返回预设数据，responses 为函数时按请求返回
+const stub_musicu = (responses) => {
+    const requests = []
+    vi.stubGlobal('fetch', async (url, init) => {
+        const { req } = JSON.parse(init.body)
+        requests.push(req)
+        return new Response(JSON.stringify({ code: 0, req: { code: 0, data: typeof responses === 'function' ? responses(req) : responses[req.module] } }))
+    })
+    return requests
+}
+
+afterEach(() => {
+    vi.unstubAllGlobals()
+})
+
+const p = new Providers()
+const tencent = p.get('tencent')
+
+test('tencent supports search, artist and album', () => {
+    expect(tencent.support_type).toEqual(expect.arrayContaining(['search', 'artist', 'album']))
+})
+
+test('tencent search maps songs and pages by offset', async () => {
+    const requests = stub_musicu({
+        'music.search.SearchCgiService': { body: { song: { list: [track('m1', '晴天'), track('m2', '晴天 (Live)')] } }, meta: { sum: 42 } },
+    })
+    const { songs, total } = await tencent.handle('search', '晴天 周杰伦', { limit: 2, offset: 4 })
+    expect(requests[0].param).toMatchObject({ query: '晴天 周杰伦', search_type: 0, page_num: 3, num_per_page: 2 })
+    expect(total).toBe(42)
+    expect(songs[0]).toMatchObject({ id: 'm1', provider: 'tencent', title: '晴天', author: '周杰伦', album: '叶惠美', duration: 269000, vip: true, songmid: 'm1' })
+
+})
+
+test('tencent search fetches the two pages around an unaligned offset', async () => {
+    // 第 n 页为 s{2n-1}、s{2n}，共 42 首
+    const requests = stub_musicu(({ param }) => ({
+        body: { song: { list: [0, 1].map(i => track(`s${(param.page_num - 1) * 2 + i + 1}`, '晴天')) } },
+        meta: { sum: 42 },
+    }))
+    const { songs, total } = await tencent.handle('search', '晴天', { limit: 2, offset: 101 })
+    expect(requests.map(req => [req.param.page_num, req.param.num_per_page])).toEqual([[51, 2], [52, 2]])
+    expect(songs.map(song => song.id)).toEqual(['s102', 's103'])
+    expect(total).toBe(42)
+})
+
+test('tencent artist and album return paged song lists', async () => {
+    const requests = stub_musicu({
+        'musichall.song_list_server': { songList: [{ songInfo: track('m1', '晴天') }], totalNum: 300 },
+        'music.musichallAlbum.AlbumSongList': { songList: [{ songInfo: track('m3', '以父之名') }], totalNum: 11 },
+    })
+    expect(await tencent.handle('artist', '0025NhlN2yWrP4', { limit: 1, offset: 10 })).toMatchObject({ songs: [{ id: 'm1' }], total: 300 })
+    expect(requests[0].param).toMatchObject({ singerMid: '0025NhlN2yWrP4', begin: 10, num: 1 })
+    expect(await tencent.handle('album', '000MkMni19ClKG', { limit: 20, offset: 0 })).toMatchObject({ songs: [{ title: '以父之名' }], total: 11 })
+    expect(requests[1].param).toMatchObject({ albumMid: '000MkMni19ClKG', begin: 0, num: 20 })
+})
+
+test('tencent artist without songs is not found', async () => {
+    stub_musicu({ 'musichall.song_list_server': { songList: [], totalNum: 0 } })
+    await expect(tencent.handle('artist', '000000', {})).rejects.toMatchObject({ code: 'NOT_FOUND' })
+})
+
+// fcg_query_lyric_new 的响应，lyric 与 trans 为 base64 编码的 LRC
+const lyric_response = {
+    retcode: 0,
+    code: 0,
+    subcode: 0,
+    lyric: 'W3RpOuaZtOWkqV0KW2FyOuWRqOadsOS8pl0KW2FsOuWPtuaDoOe+jl0KW2J5Ol0KW29mZnNldDowXQpbMDA6MDAuMDBd5pm05aSpIC0g5ZGo5p2w5LymIChKYXkgQ2hvdSkKWzAwOjI5Ljg3XeaVheS6i+eahOWwj+m7hOiKsQpbMDA6MzMuMThd5LuO5Ye655Sf6YKj5bm05bCx6aOY552ACg==',
+    trans: 'W3RpOuaZtOWkqV0KW2FyOuWRqOadsOS8pl0KW2FsOuWPtuaDoOe+jl0KW2J5Ol0KW29mZnNldDowXQpbMDA6MDAuMDBdLy8KWzAwOjI5Ljg3XVRoZSBsaXR0bGUgeWVsbG93IGZsb3dlciBvZiB0aGUgc3RvcnkKWzAwOjMzLjIxXUhhcyBiZWVuIGZsb2F0aW5nIHNpbmNlIHRoZSB5ZWFyIEkgd2FzIGJvcm4K',
+}
+
+test('tencent klrc falls back to line level lyrics', async () => {
+    const urls = []
+    vi.stubGlobal('fetch', async (url) => {
+        urls.push(url)
+        return new Response(JSON.stringify(lyric_response))
+    })
+    const { source, lines } = await tencent.handle('klrc', '0039MnYb0qxYhV')
+    expect(urls).toHaveLength(1)
+    expect(urls[0]).toContain('fcg_query_lyric_new.fcg')
+    expect(source).toBe('lrc')
+    expect(lines.map(line => [line.start, line.text, line.translation])).toEqual([
+        [0, '晴天 - 周杰伦 (Jay Chou)', '//'],
+        [29870, '故事的小黄花', 'The little yellow flower of the story'],
+        [33180, '从出生那年就飘着', 'Has been floating since the year I was born'],
+    ])
+    expect(lines[1].words).toEqual([{ start: 29870, duration: 3310, text: '故事的小黄花' }])
+})